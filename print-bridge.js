@@ -0,0 +1,146 @@
+// print-bridge.js
+// Forwards print jobs from the browser to network printers (raw TCP, port 9100),
+// which browsers cannot open sockets to. Run it on the shop PC: node print-bridge.js
+const express = require('express');
+const cors = require('cors');
+const net = require('net');
+
+const app = express();
+const BRIDGE_PORT = Number(process.env.BRIDGE_PORT) || 3002; // The emulator uses 3001
+// Only printer ports are forwarded to, so the bridge cannot be used to reach other services
+const PRINTER_PORTS = (process.env.PRINTER_PORTS || '9100,9101,9102').split(',').map(Number);
+// Only the app may use the bridge; any other page open on this PC could otherwise
+// send raw bytes to the LAN through it. Set APP_ORIGINS when the app is served elsewhere.
+const APP_ORIGINS = (process.env.APP_ORIGINS || 'http://localhost:5000,http://127.0.0.1:5000').split(',').map(origin => origin.trim());
+const SOCKET_TIMEOUT_MS = 10000;
+const REPLY_TIMEOUT_MS = 1000;
+
+// Use CORS to allow the React app (running on a different port) to call the bridge
+app.use(cors({ origin: APP_ORIGINS }));
+// CORS only stops pages from reading the answer, so other origins are turned away outright
+app.use((req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && !APP_ORIGINS.includes(origin)) {
+        return res.status(403).json({ error: `Origin ${origin} may not use the print bridge.` });
+    }
+    next();
+});
+app.use(express.raw({ type: 'application/octet-stream', limit: '20mb' })); // Print jobs arrive as raw bytes
+
+/**
+ * Reads and checks the printer address from the query string.
+ * @returns {{ host: string, port: number }|null} null after answering with an error.
+ */
+function printerAddress(req, res) {
+    const host = String(req.query.host || '').trim();
+    const port = Number(req.query.port) || 9100;
+    if (!host) {
+        res.status(400).json({ error: 'No printer host given.' });
+        return null;
+    }
+    if (!PRINTER_PORTS.includes(port)) {
+        res.status(400).json({ error: `Port ${port} is not a printer port (allowed: ${PRINTER_PORTS.join(', ')}).` });
+        return null;
+    }
+    return { host, port };
+}
+
+/**
+ * Opens a TCP connection to the printer, writes the data (if any) and closes
+ * the connection once the printer has taken it.
+ * @returns {Promise<void>}
+ */
+function sendToSocket({ host, port }, data) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        socket.setTimeout(SOCKET_TIMEOUT_MS, () => socket.destroy(new Error('Printer did not respond in time.')));
+        socket.resume(); // Drops anything the printer sends back, which would otherwise keep the connection open
+        socket.on('connect', () => {
+            if (data && data.length > 0) socket.write(data);
+            socket.end();
+        });
+        socket.on('error', reject);
+        socket.on('close', hadError => {
+            if (!hadError) resolve();
+        });
+    });
+}
+
+/**
+ * Sends a short command (e.g. a status request) and waits for the printer's reply.
+ * @returns {Promise<Buffer|null>} null when the printer did not answer in time,
+ *   or at once for commands that have no reply (timeoutMs 0).
+ */
+function requestFromSocket({ host, port }, data, timeoutMs) {
+    if (timeoutMs <= 0) return sendToSocket({ host, port }, data).then(() => null);
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        const timer = setTimeout(() => {
+            socket.destroy();
+            resolve(null);
+        }, timeoutMs);
+        socket.on('connect', () => socket.write(data));
+        socket.on('data', reply => {
+            clearTimeout(timer);
+            socket.destroy();
+            resolve(reply);
+        });
+        socket.on('error', err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+// Checks whether a printer accepts connections
+app.get('/status', async (req, res) => {
+    const address = printerAddress(req, res);
+    if (!address) return;
+    try {
+        await sendToSocket(address);
+        res.status(200).json({ ok: true });
+    } catch (err) {
+        res.status(502).json({ error: err.message });
+    }
+});
+
+// Forwards one print job
+app.post('/print', async (req, res) => {
+    const address = printerAddress(req, res);
+    if (!address) return;
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'No print data received.' });
+    }
+    try {
+        await sendToSocket(address, req.body);
+        console.log(`Sent ${req.body.length} bytes to ${address.host}:${address.port}`);
+        res.status(200).json({ ok: true, bytes: req.body.length });
+    } catch (err) {
+        console.error(`Printing to ${address.host}:${address.port} failed:`, err.message);
+        res.status(502).json({ error: err.message });
+    }
+});
+
+// Sends a short command and returns the printer's reply bytes (null when it gave none)
+app.post('/request', async (req, res) => {
+    const address = printerAddress(req, res);
+    if (!address) return;
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'No command received.' });
+    }
+    try {
+        // A reply can wait for the printer to finish what it was printing, so the wait can be longer
+        const timeoutMs = Math.min(Number(req.query.timeout ?? REPLY_TIMEOUT_MS) || 0, SOCKET_TIMEOUT_MS);
+        const reply = await requestFromSocket(address, req.body, timeoutMs);
+        res.status(200).json({ reply: reply ? Array.from(reply) : null });
+    } catch (err) {
+        res.status(502).json({ error: err.message });
+    }
+});
+
+// Listen on this PC only; the browser and the bridge run side by side
+app.listen(BRIDGE_PORT, '127.0.0.1', () => {
+    console.log(`Print bridge listening on http://localhost:${BRIDGE_PORT}`);
+    console.log(`Forwarding to printer ports ${PRINTER_PORTS.join(', ')}`);
+    console.log(`Accepting requests from ${APP_ORIGINS.join(', ')}`);
+});
@@ -1,11 +1,56 @@
 
 // 📁 File: src/App.jsx
 
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import Controls from './Controls'; // Assuming Controls.jsx exists and handles settings
 import PrintPreview from './PrintPreview'; // Assuming PrintPreview.jsx exists
+import RawPreview from './RawPreview';
 import parseTallyXML from './parseTallyXML'; // Assuming parseTallyXML.js exists
 import generateEscPosCommands from './generateEscPosCommands'; // IMPORT THE EXTERNAL ESC/POS GENERATOR
+import { decodeXmlBytes } from './utils/decodeXml';
+import reconcileTotals from './reconcileTotals';
+import { loadLogoFile, saveLogoFile, deleteLogoFile } from './logoStore';
+import {
+  loadPrinterRegistry, savePrinterRegistry, addPrinter, getAvailablePrinters,
+  requestUsbPrinter, requestSerialPrinter, usbPrinter, serialPrinter, networkPrinter,
+} from './printerRegistry';
+import { TRANSPORTS, connectPrinter } from './printerTransports';
+import PrinterPanel from './PrinterPanel';
+import { getCopy } from './receiptCopies';
+import { getPrinterProfile } from './printerProfiles';
+import { DEFAULT_SETTINGS } from './defaultSettings';
+import { IDLE_STATUS_POLL_MS, answersPrintedRequest, hasStatusRequests, queryPrinterStatus, statusFault, waitUntilPrinted, waitUntilReady } from './printerStatus';
+
+// Totals check for a queue item, run with the current tolerance so changing
+// the setting takes effect on vouchers that are already queued.
+function getReconciliation(item, settings) {
+  if (!item.xmlData) return null;
+  const tolerance = parseFloat(settings.reconcileTolerance);
+  return reconcileTotals(item.xmlData, isNaN(tolerance) ? 0.01 : tolerance);
+}
+
+// Parse diagnostics plus the totals mismatch warning, when there is one
+function getDiagnostics(item, settings) {
+  const reconciliation = getReconciliation(item, settings);
+  if (!reconciliation || reconciliation.matched) return item.diagnostics;
+  const { expected, actual, difference } = reconciliation;
+  return {
+    ...item.diagnostics,
+    warnings: [
+      ...item.diagnostics.warnings,
+      {
+        code: 'TOTALS_MISMATCH',
+        message: `Items, taxes and other ledgers add up to ${expected}, but the printed total is ${actual} (difference ${difference}).`,
+      },
+    ],
+  };
+}
+
+// Mismatched vouchers wait for the operator when blocking is switched on
+function isHeldForConfirmation(item, settings) {
+  const reconciliation = getReconciliation(item, settings);
+  return Boolean(settings.blockMismatchedPrints && reconciliation && !reconciliation.matched && !item.mismatchConfirmed);
+}
 
 export default function App() {
   const [xmlData, setXmlData] = useState(null);
@@ -17,38 +62,28 @@ export default function App() {
     // Initialize settings from localStorage or defaults
     try {
       const saved = localStorage.getItem('tallyPrintSettings');
-      return saved ? JSON.parse(saved) : {
-        fontFamily: 'monospace',
-        fontSize: 12,
-        lineHeight: 1.4,
-        headerAlignment: 'center',
-        logoUrl: '', // Ensure logoUrl is part of settings
-        lineSeparator: '-',
-        zoom: 1.0,
-        sectionStyles: {
-          orderInfo: { labelBold: false, valueBold: true }
-        }
-      };
+      return saved ? { ...DEFAULT_SETTINGS, ...JSON.parse(saved) } : DEFAULT_SETTINGS;
     } catch (e) {
       console.error("Failed to parse settings from localStorage, using defaults:", e);
-      return {
-        fontFamily: 'monospace',
-        fontSize: 12,
-        lineHeight: 1.4,
-        headerAlignment: 'center',
-        logoUrl: '',
-        lineSeparator: '-',
-        zoom: 1.0,
-        sectionStyles: {
-          orderInfo: { labelBold: false, valueBold: true }
-        }
-      };
+      return DEFAULT_SETTINGS;
     }
   });
   const [isDragging, setIsDragging] = useState(false); // State for drag-and-drop visual feedback
   const [showCosmeticControls, setShowCosmeticControls] = useState(false); // State for toggle
+  const [expandedDiagnosticsId, setExpandedDiagnosticsId] = useState(null); // Queue item whose warnings/errors are shown
+  const [previewMode, setPreviewMode] = useState('layout'); // 'layout' preview or 'raw' ESC/POS playback
+  const [logoFileUrl, setLogoFileUrl] = useState(''); // Object URL of the uploaded logo
+  const [previewCopy, setPreviewCopy] = useState(0); // Copy shown in the previews, counting from 0
+  const [printerRegistry, setPrinterRegistry] = useState(loadPrinterRegistry); // Saved USB printers
+  const [availablePrinters, setAvailablePrinters] = useState(new Map()); // Usable printers by key (see getAvailablePrinters)
+  const [printerStatus, setPrinterStatus] = useState(undefined); // Last status of the selected printer (see printerStatus.js)
+  const [isPrintPaused, setIsPrintPaused] = useState(false); // The batch waits for a printer fault to be cleared
 
   const printRef = useRef(null); // Ref for PrintPreview component
+  const savedPrintersRef = useRef(printerRegistry.printers); // For the availability check, without re-subscribing
+  const printActionRef = useRef(null); // 'resume' or 'cancel', chosen while printing is paused
+  const printingRef = useRef(false); // Set for the whole print job, connecting and closing included
+  const statusCheckRef = useRef(null); // The status check in progress, which printing waits for
   const fileInputRef = useRef(null);
 
   // Load copyCount from localStorage (separately from settings if needed)
@@ -69,22 +104,162 @@ export default function App() {
     localStorage.setItem('tallyPrintSettings', JSON.stringify({ ...settings, copyCount }));
   }, [settings, copyCount]);
 
+  useEffect(() => {
+    savePrinterRegistry(printerRegistry);
+    savedPrintersRef.current = printerRegistry.printers;
+  }, [printerRegistry]);
+
+  // Track which saved printers are plugged in or reachable
+  const refreshAvailablePrinters = useCallback(() => {
+    getAvailablePrinters(savedPrintersRef.current)
+      .then(setAvailablePrinters)
+      .catch(err => console.error("Failed to list printers:", err));
+  }, []);
+
+  useEffect(() => {
+    refreshAvailablePrinters();
+    const sources = [navigator.usb, navigator.serial].filter(Boolean);
+    sources.forEach(source => {
+      source.addEventListener('connect', refreshAvailablePrinters);
+      source.addEventListener('disconnect', refreshAvailablePrinters);
+    });
+    return () => {
+      sources.forEach(source => {
+        source.removeEventListener('connect', refreshAvailablePrinters);
+        source.removeEventListener('disconnect', refreshAvailablePrinters);
+      });
+    };
+  }, [refreshAvailablePrinters]);
+
+  // Selecting a printer switches to its profile
+  const handleSelectPrinter = (printer) => {
+    setPrinterRegistry(prev => ({ ...prev, selectedKey: printer.key }));
+    setPrinterStatus(undefined);
+    setSettings(prev => ({ ...prev, printerProfile: printer.profile }));
+  };
+
+  const handlePrinterRegistryChange = (registry) => {
+    const before = printerRegistry.printers.find(printer => printer.key === printerRegistry.selectedKey);
+    const after = registry.printers.find(printer => printer.key === registry.selectedKey);
+    if (after && before && after.profile !== before.profile) {
+      setSettings(prev => ({ ...prev, printerProfile: after.profile }));
+    }
+    setPrinterRegistry(registry);
+  };
+
+  // USB and serial printers are picked in the browser's prompt; network printers by address
+  const handleAddPrinter = async (transport, address) => {
+    if (!TRANSPORTS[transport].isSupported()) {
+      alert(`${TRANSPORTS[transport].label} printing is not supported in this browser.`);
+      return;
+    }
+    try {
+      let printer;
+      if (transport === 'usb') printer = usbPrinter(await requestUsbPrinter(), settings.printerProfile);
+      else if (transport === 'serial') printer = serialPrinter(await requestSerialPrinter(), settings.printerProfile);
+      else printer = networkPrinter(address.host, address.port, settings.printerProfile);
+      savedPrintersRef.current = [...savedPrintersRef.current, printer];
+      setPrinterRegistry(prev => addPrinter(prev, printer));
+      refreshAvailablePrinters();
+    } catch (err) {
+      if (err.name !== 'NotFoundError') { // NotFoundError: the prompt was dismissed
+        console.error("Failed to add the printer:", err);
+        alert("Could not add the printer: " + err.message);
+      }
+    }
+  };
+
+  // Asks the selected printer for its status; printers that would need the
+  // browser's prompt (or are busy printing) are left alone
+  const checkPrinterStatus = useCallback(async () => {
+    const selectedPrinter = printerRegistry.printers.find(printer => printer.key === printerRegistry.selectedKey);
+    if (!selectedPrinter || !availablePrinters.has(selectedPrinter.key) || printingRef.current || statusCheckRef.current) return;
+    if (!hasStatusRequests(getPrinterProfile(settings))) {
+      setPrinterStatus(null);
+      return;
+    }
+    const check = (async () => {
+      let connection;
+      try {
+        connection = await connectPrinter(selectedPrinter, settings.printerProfile);
+        setPrinterStatus(await queryPrinterStatus(connection.request));
+      } catch (err) {
+        console.error("Failed to read the printer status:", err);
+        setPrinterStatus(null);
+      } finally {
+        if (connection) await connection.close().catch(err => console.error("Error closing the printer connection:", err));
+      }
+    })();
+    statusCheckRef.current = check;
+    try {
+      await check;
+    } finally {
+      statusCheckRef.current = null;
+    }
+  }, [availablePrinters, printerRegistry, settings]);
+
+  // The selected printer is asked again every so often while nothing prints,
+  // so paper running out between jobs shows before the next one
+  useEffect(() => {
+    if (currentPrintingId !== null) return undefined;
+    const timer = setInterval(() => {
+      if (!document.hidden) checkPrinterStatus();
+    }, IDLE_STATUS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [checkPrinterStatus, currentPrintingId]);
+
+  // Load the uploaded logo from IndexedDB once
+  useEffect(() => {
+    loadLogoFile()
+      .then(file => file && setLogoFileUrl(URL.createObjectURL(file)))
+      .catch(err => console.error("Failed to load the uploaded logo:", err));
+  }, []);
+
+  // Release the previous object URL whenever the uploaded logo changes
+  useEffect(() => () => logoFileUrl && URL.revokeObjectURL(logoFileUrl), [logoFileUrl]);
+
+  const handleLogoFileChange = async (file) => {
+    try {
+      if (file) {
+        await saveLogoFile(file);
+        setLogoFileUrl(URL.createObjectURL(file));
+      } else {
+        await deleteLogoFile();
+        setLogoFileUrl('');
+      }
+    } catch (err) {
+      console.error("Failed to save the uploaded logo:", err);
+      alert("Could not save the logo in this browser: " + err.message);
+    }
+  };
+
+  // Settings as printed: an uploaded logo stands in for the logo URL
+  const printSettings = useMemo(
+    () => (settings.logoSource === 'file' ? { ...settings, logoUrl: logoFileUrl } : settings),
+    [settings, logoFileUrl]
+  );
+
+  // The copy selector keeps its place when the copy count drops below it
+  const shownCopy = Math.min(previewCopy, copyCount - 1);
+
   // Generate unique ID for queue items
   const generateId = () => Date.now() + Math.random();
 
   // Add files to print queue
   const addToQueue = (files) => {
-    const newItems = files.map(({ fileName, xmlData }) => ({
+    const newItems = files.map(({ fileName, xmlData, diagnostics }) => ({
       id: generateId(),
       fileName,
       xmlData,
-      status: 'pending' // pending, printing, completed
+      diagnostics: diagnostics || { errors: [], warnings: [] },
+      status: xmlData ? 'pending' : 'error' // pending, printing, completed, error (cannot print)
     }));
     setPrintQueue(prev => [...prev, ...newItems]);
     
-    // Set preview to first item if none selected
-    if (!xmlData && newItems.length > 0) {
-      setXmlData(newItems[0].xmlData);
+    // Set preview to first printable item if none selected
+    const firstPrintable = newItems.find(item => item.xmlData);
+    if (!xmlData && firstPrintable) {
+      setXmlData(firstPrintable.xmlData);
     }
   };
 
@@ -109,49 +284,92 @@ export default function App() {
     }, 500);
   };
 
-  // WebUSB Print Handler for batch printing
-  const handleWebUSBPrint = useCallback(async () => {
-    const pendingItems = printQueue.filter(item => item.status === 'pending');
+  // Print Handler for batch printing (USB, serial or network, see printerTransports.js)
+  const handlePrint = useCallback(async () => {
+    const queuedItems = printQueue.filter(item => item.status === 'pending');
+    const pendingItems = queuedItems.filter(item => !isHeldForConfirmation(item, printSettings));
+    const heldCount = queuedItems.length - pendingItems.length;
     
     if (pendingItems.length === 0) {
-      alert("Nothing to print. Please load XML files first.");
-      return;
-    }
-    
-    if (!('usb' in navigator)) {
-      alert("WebUSB not supported in this browser.");
+      alert(heldCount > 0
+        ? `Nothing to print. ${heldCount} voucher(s) with mismatched totals are waiting for confirmation in the queue.`
+        : "Nothing to print. Please load XML files first.");
       return;
     }
 
-    let device;
+    let connection;
+    printingRef.current = true;
+    printActionRef.current = null;
     try {
-      setStatus("[🖨] Requesting USB device...");
-      
-      const filters = [
-        { vendorId: 0x0483, productId: 0x5720 }, // HGS 030 Printer
-      ];
-      device = await navigator.usb.requestDevice({ filters: filters });
-
-      await device.open();
-      await device.selectConfiguration(1);
-      await device.claimInterface(0);
+      // A status check still holding the printer is let finish first
+      if (statusCheckRef.current) await statusCheckRef.current;
+      // The selected printer reconnects without a prompt when it is plugged in and allowed
+      const selectedPrinter = printerRegistry.printers.find(printer => printer.key === printerRegistry.selectedKey);
+      setStatus(`[🖨] Connecting to ${selectedPrinter ? selectedPrinter.name : 'a USB printer'}...`);
+      connection = await connectPrinter(selectedPrinter, settings.printerProfile);
+      if (connection.printer !== selectedPrinter) {
+        // A newly picked printer is remembered for next time
+        const picked = connection.printer;
+        setPrinterRegistry(prev => addPrinter(prev, picked));
+      }
 
-      const endpoint = device.configuration.interfaces[0].alternate.endpoints.find(e => e.direction === 'out');
-      if (!endpoint) throw new Error("No OUT endpoint found on the device.");
+      // ESC/POS printers that answer are asked for their status around every
+      // copy: the batch pauses before a copy while the printer has a fault, and
+      // on printers that answer GS r, a copy counts as printed only once the
+      // printer says so. A fault partway through a copy leaves the rest in the
+      // printer's buffer, which it prints once the fault is cleared, so no copy
+      // is sent twice.
+      const watchStatus = hasStatusRequests(getPrinterProfile(printSettings))
+        && (await queryPrinterStatus(connection.request)) !== null;
+      const watchPrinted = watchStatus && await answersPrintedRequest(connection.request);
+      const watchOptions = (describeFault) => ({
+        onStatus: status => {
+          setPrinterStatus(status);
+          const fault = statusFault(status);
+          setIsPrintPaused(Boolean(fault));
+          if (fault) setStatus(`⏸ ${describeFault(fault)}`);
+        },
+        nextAction: () => {
+          const action = printActionRef.current;
+          printActionRef.current = null;
+          return action;
+        },
+      });
 
       // Print each item in queue
-      for (const item of pendingItems) {
+      const logoCache = new Map(); // The logo is converted once for the whole job
+      for (const [index, item] of pendingItems.entries()) {
         setCurrentPrintingId(item.id);
         setPrintQueue(prev => prev.map(queueItem => 
           queueItem.id === item.id ? { ...queueItem, status: 'printing' } : queueItem
         ));
 
         setStatus(`[🖨] Generating print commands for ${item.fileName}...`);
-        const escPosCommands = await generateEscPosCommands(item.xmlData, settings);
-
         for (let i = 0; i < copyCount; i++) {
-          setStatus(`[🖨] Printing ${item.fileName} - copy ${i + 1} of ${copyCount}...`);
-          await device.transferOut(endpoint.endpointNumber, escPosCommands);
+          // The drawer and buzzer wait for the last copy, a per-batch cut for the batch's last copy
+          const lastCopy = i === copyCount - 1;
+          const escPosCommands = await generateEscPosCommands(item.xmlData, printSettings, {
+            logoCache,
+            copy: i,
+            copyCount,
+            lastCopy,
+            lastInBatch: lastCopy && index === pendingItems.length - 1,
+          });
+          const copyLabel = `${item.fileName} (${index + 1} of ${pendingItems.length}) - copy ${i + 1} of ${copyCount}`;
+          const progressLabel = `[🖨] Printing ${copyLabel}`;
+          if (watchStatus) {
+            await waitUntilReady(connection.request, watchOptions(fault =>
+              `${fault}: paused before ${copyLabel}. Printing resumes once the printer is ready.`));
+          }
+          setStatus(`${progressLabel}...`);
+          await connection.send(escPosCommands, {
+            onProgress: (sent, total) => setStatus(`${progressLabel}... ${Math.round((sent / total) * 100)}%`),
+          });
+          if (watchPrinted) {
+            await waitUntilPrinted(connection.request, watchOptions(fault =>
+              `${fault} while printing ${copyLabel}; it finishes once the printer is ready.`));
+            setIsPrintPaused(false);
+          }
         }
 
         // Remove item from queue after successful print
@@ -160,11 +378,13 @@ export default function App() {
       }
 
       setCurrentPrintingId(null);
-      setStatus(`✅ Printed ${pendingItems.length} documents successfully.`);
-      alert(`✅ Printed ${pendingItems.length} documents successfully.`);
+      const heldNote = heldCount > 0 ? ` ${heldCount} held for totals confirmation.` : '';
+      setStatus(`✅ Printed ${pendingItems.length} documents successfully.${heldNote}`);
+      alert(`✅ Printed ${pendingItems.length} documents successfully.${heldNote}`);
     } catch (err) {
-      console.error("[❌ WebUSB Error] ", err);
+      console.error("[❌ Print Error] ", err);
       setCurrentPrintingId(null);
+      setIsPrintPaused(false);
       setPrintQueue(prev => prev.map(item => 
         item.status === 'printing' ? { ...item, status: 'pending' } : item
       ));
@@ -180,17 +400,18 @@ export default function App() {
       setStatus(errorMessage);
       alert(errorMessage);
     } finally {
-      if (device && device.opened) {
+      if (connection) {
         try {
-          await device.releaseInterface(0);
-          await device.close();
-          console.log("[🖨] USB device closed.");
+          await connection.close();
+          console.log("[🖨] Printer connection closed.");
         } catch (closeErr) {
-          console.error("Error closing USB device:", closeErr);
+          console.error("Error closing the printer connection:", closeErr);
         }
       }
+      printingRef.current = false;
+      refreshAvailablePrinters();
     }
-  }, [copyCount, printQueue, settings]);
+  }, [copyCount, printQueue, printSettings, printerRegistry, settings.printerProfile, refreshAvailablePrinters]);
 
   // Ctrl+P or Cmd+P shortcut for printing
   useEffect(() => {
@@ -199,12 +420,12 @@ export default function App() {
       const isPrintShortcut = (isMac && e.metaKey) || (!isMac && e.ctrlKey);
       if (isPrintShortcut && e.key.toLowerCase() === 'p') {
         e.preventDefault();
-        handleWebUSBPrint();
+        handlePrint();
       }
     };
     window.addEventListener('keydown', handleKeydown);
     return () => window.removeEventListener('keydown', handleKeydown);
-  }, [handleWebUSBPrint]);
+  }, [handlePrint]);
 
   // Process multiple files
   const processFiles = (files) => {
@@ -222,38 +443,67 @@ export default function App() {
     const processedFiles = [];
     let completed = 0;
 
+    // Called once per file, whatever happened to it, so the batch always finishes
+    const finishFile = () => {
+      completed++;
+      if (completed < xmlFiles.length) return;
+      const loaded = processedFiles.filter(entry => entry.xmlData);
+      const failed = processedFiles.length - loaded.length;
+      const withWarnings = loaded.filter(entry => entry.diagnostics.warnings.length > 0).length;
+      if (processedFiles.length > 0) addToQueue(processedFiles);
+      if (loaded.length > 0) {
+        const notes = [
+          withWarnings > 0 && `${withWarnings} with warnings`,
+          failed > 0 && `${failed} failed`,
+        ].filter(Boolean).join(', ');
+        setStatus(`Successfully loaded ${loaded.length} vouchers from ${xmlFiles.length} files${notes ? ` (${notes})` : ''}. Ready to print.`);
+      } else {
+        setStatus('No valid XML files could be processed. See the queue for details.');
+      }
+    };
+
+    // Unreadable files still get a queue entry so the operator can see why
+    const addFailedFile = (fileName, errors, warnings = []) => {
+      processedFiles.push({ fileName, xmlData: null, diagnostics: { errors, warnings } });
+    };
+
     xmlFiles.forEach(file => {
       const reader = new FileReader();
       reader.onload = (e) => {
-        const content = e.target.result;
-        if (!content || content.length === 0) {
+        // Read as bytes so UTF-16 / Windows-1252 / ISCII exports decode correctly
+        const buffer = e.target.result;
+        if (!buffer || buffer.byteLength === 0) {
           console.error(`File ${file.name} is empty or unreadable.`);
-          completed++;
+          addFailedFile(file.name, [{ code: 'EMPTY_FILE', message: 'The file is empty.' }]);
+          finishFile();
           return;
         }
-        
-        const data = parseTallyXML(content);
-        if (data) {
-          processedFiles.push({ fileName: file.name, xmlData: data });
-        } else {
-          console.error(`Failed to parse ${file.name}`);
-        }
-        
-        completed++;
-        if (completed === xmlFiles.length) {
-          if (processedFiles.length > 0) {
-            addToQueue(processedFiles);
-            setStatus(`Successfully loaded ${processedFiles.length} files. Ready to print.`);
-          } else {
-            setStatus('No valid XML files could be processed.');
-          }
+        const content = decodeXmlBytes(buffer);
+
+        const { vouchers, errors, warnings } = parseTallyXML(content);
+        // Bulk exports carry many vouchers; queue each one separately
+        vouchers.forEach((data, index) => {
+          const fileName = vouchers.length > 1
+            ? `${file.name} #${index + 1}${data.order.number ? ` – ${data.order.number}` : ''}`
+            : file.name;
+          processedFiles.push({
+            fileName,
+            xmlData: data,
+            diagnostics: { errors: [], warnings: [...warnings, ...data.warnings] },
+          });
+        });
+        if (errors.length > 0) {
+          console.error(`Failed to parse ${file.name}`, errors);
+          addFailedFile(file.name, errors, vouchers.length > 0 ? [] : warnings);
         }
+        finishFile();
       };
       reader.onerror = () => {
         console.error(`Error reading file: ${file.name}`);
-        completed++;
+        addFailedFile(file.name, [{ code: 'READ_FAILED', message: 'The file could not be read.' }]);
+        finishFile();
       };
-      reader.readAsText(file);
+      reader.readAsArrayBuffer(file);
     });
   };
 
@@ -300,9 +550,27 @@ export default function App() {
     setXmlData(null);
   };
 
-  // Select item for preview
+  // Select item for preview (files that failed to parse only show their details)
   const selectForPreview = (item) => {
-    setXmlData(item.xmlData);
+    if (item.xmlData) {
+      setXmlData(item.xmlData);
+    } else {
+      setExpandedDiagnosticsId(item.id);
+    }
+  };
+
+  // Operator accepts a voucher whose totals do not reconcile
+  const confirmMismatch = (e, id) => {
+    e.stopPropagation();
+    setPrintQueue(prev => prev.map(item => 
+      item.id === id ? { ...item, mismatchConfirmed: true } : item
+    ));
+  };
+
+  // Toggle the diagnostics detail panel of a queue item
+  const toggleDiagnostics = (e, id) => {
+    e.stopPropagation();
+    setExpandedDiagnosticsId(prev => (prev === id ? null : id));
   };
 
   return (
@@ -411,50 +679,98 @@ export default function App() {
             </div>
             
             <div className="max-h-60 sm:max-h-80 overflow-y-auto space-y-3 custom-scrollbar">
-              {printQueue.map((item, index) => (
-                <div
-                  key={item.id}
-                  className={`
-                    flex flex-col sm:flex-row sm:items-center justify-between p-3 sm:p-4 rounded-xl border-2 transition-all duration-500 cursor-pointer gap-3 sm:gap-0
-                    ${item.status === 'pending' ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border-blue-200 hover:from-blue-100 hover:to-indigo-100' : ''}
-                    ${item.status === 'printing' ? 'bg-gradient-to-r from-yellow-50 to-amber-50 border-yellow-300 animate-pulse shadow-md' : ''}
-                    ${item.status === 'completed' ? 'bg-gradient-to-r from-green-50 to-emerald-50 border-green-200 opacity-60 transform scale-95' : ''}
-                    ${xmlData === item.xmlData ? 'ring-2 ring-blue-400 shadow-lg transform scale-[1.02]' : ''}
-                    hover:shadow-md group
-                  `}
-                  onClick={() => selectForPreview(item)}
-                >
-                  <div className="flex items-center space-x-3 sm:space-x-4 min-w-0 flex-1">
-                    <div className="w-8 h-8 bg-gradient-to-r from-gray-400 to-gray-500 rounded-lg flex items-center justify-center text-white font-bold text-sm flex-shrink-0">
-                      {index + 1}
-                    </div>
-                    <div className="min-w-0 flex-1">
-                      <span className="font-semibold text-gray-800 group-hover:text-blue-600 transition-colors block truncate">{item.fileName}</span>
-                      {item.xmlData.order?.number && (
-                        <div className="text-sm text-gray-600 font-medium">Order: {item.xmlData.order.number}</div>
-                      )}
-                    </div>
-                  </div>
+              {printQueue.map((item, index) => {
+                const diagnostics = getDiagnostics(item, settings);
+                const held = item.status === 'pending' && isHeldForConfirmation(item, settings);
+                return (
+                  <div key={item.id}>
+                    <div
+                      className={`
+                        flex flex-col sm:flex-row sm:items-center justify-between p-3 sm:p-4 rounded-xl border-2 transition-all duration-500 cursor-pointer gap-3 sm:gap-0
+                        ${item.status === 'pending' ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border-blue-200 hover:from-blue-100 hover:to-indigo-100' : ''}
+                        ${item.status === 'printing' ? 'bg-gradient-to-r from-yellow-50 to-amber-50 border-yellow-300 animate-pulse shadow-md' : ''}
+                        ${item.status === 'completed' ? 'bg-gradient-to-r from-green-50 to-emerald-50 border-green-200 opacity-60 transform scale-95' : ''}
+                        ${item.status === 'error' ? 'bg-gradient-to-r from-red-50 to-rose-50 border-red-200' : ''}
+                        ${item.xmlData && xmlData === item.xmlData ? 'ring-2 ring-blue-400 shadow-lg transform scale-[1.02]' : ''}
+                        hover:shadow-md group
+                      `}
+                      onClick={() => selectForPreview(item)}
+                    >
+                      <div className="flex items-center space-x-3 sm:space-x-4 min-w-0 flex-1">
+                        <div className="w-8 h-8 bg-gradient-to-r from-gray-400 to-gray-500 rounded-lg flex items-center justify-center text-white font-bold text-sm flex-shrink-0">
+                          {index + 1}
+                        </div>
+                        <div className="min-w-0 flex-1">
+                          <span className="font-semibold text-gray-800 group-hover:text-blue-600 transition-colors block truncate">{item.fileName}</span>
+                          {item.xmlData?.order?.number && (
+                            <div className="text-sm text-gray-600 font-medium">Order: {item.xmlData.order.number}</div>
+                          )}
+                        </div>
+                      </div>
                   
-                  <div className="flex items-center justify-end sm:justify-start space-x-3 flex-shrink-0">
-                    {item.status === 'pending' && (
-                      <span className="bg-gradient-to-r from-blue-500 to-indigo-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
-                        Pending
-                      </span>
-                    )}
-                    {item.status === 'printing' && (
-                      <span className="bg-gradient-to-r from-yellow-500 to-amber-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
-                        Printing...
-                      </span>
-                    )}
-                    {item.status === 'completed' && (
-                      <span className="bg-gradient-to-r from-green-500 to-emerald-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
-                        ✓ Completed
-                      </span>
+                      <div className="flex items-center justify-end sm:justify-start space-x-3 flex-shrink-0">
+                        {diagnostics.errors.length > 0 && (
+                          <button
+                            onClick={(e) => toggleDiagnostics(e, item.id)}
+                            className="bg-gradient-to-r from-red-500 to-rose-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm"
+                          >
+                            ✕ {diagnostics.errors.length} {diagnostics.errors.length === 1 ? 'error' : 'errors'}
+                          </button>
+                        )}
+                        {held && (
+                          <button
+                            onClick={(e) => confirmMismatch(e, item.id)}
+                            title="Totals do not reconcile. Click to allow this voucher to print."
+                            className="bg-gradient-to-r from-orange-500 to-red-500 hover:from-orange-600 hover:to-red-600 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm"
+                          >
+                            Confirm totals
+                          </button>
+                        )}
+                        {diagnostics.warnings.length > 0 && (
+                          <button
+                            onClick={(e) => toggleDiagnostics(e, item.id)}
+                            className="bg-gradient-to-r from-amber-400 to-orange-400 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm"
+                          >
+                            ⚠ {diagnostics.warnings.length} {diagnostics.warnings.length === 1 ? 'warning' : 'warnings'}
+                          </button>
+                        )}
+                        {item.status === 'pending' && (
+                          <span className="bg-gradient-to-r from-blue-500 to-indigo-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
+                            Pending
+                          </span>
+                        )}
+                        {item.status === 'printing' && (
+                          <span className="bg-gradient-to-r from-yellow-500 to-amber-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
+                            Printing...
+                          </span>
+                        )}
+                        {item.status === 'completed' && (
+                          <span className="bg-gradient-to-r from-green-500 to-emerald-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
+                            ✓ Completed
+                          </span>
+                        )}
+                        {item.status === 'error' && (
+                          <span className="bg-gradient-to-r from-gray-500 to-gray-600 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-sm">
+                            Not printable
+                          </span>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Diagnostics detail panel */}
+                    {expandedDiagnosticsId === item.id && (
+                      <ul className="mt-2 p-3 bg-white rounded-lg border border-gray-200 text-sm space-y-1">
+                        {diagnostics.errors.map((diagnostic, diagnosticIndex) => (
+                          <li key={`e${diagnosticIndex}`} className="text-red-700">✕ {diagnostic.message}</li>
+                        ))}
+                        {diagnostics.warnings.map((diagnostic, diagnosticIndex) => (
+                          <li key={`w${diagnosticIndex}`} className="text-amber-700">⚠ {diagnostic.message}</li>
+                        ))}
+                      </ul>
                     )}
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </div>
         )}
@@ -473,6 +789,16 @@ export default function App() {
               <h2 className="text-xl sm:text-2xl font-bold text-gray-800">Print Controls</h2>
             </div>
             
+            <PrinterPanel
+              registry={printerRegistry}
+              available={availablePrinters}
+              onRegistryChange={handlePrinterRegistryChange}
+              onAddPrinter={handleAddPrinter}
+              onSelectPrinter={handleSelectPrinter}
+              status={printerStatus}
+              onCheckStatus={checkPrinterStatus}
+            />
+
             <div className="mb-6 lg:mb-8">
               <label className="block font-semibold text-gray-700 mb-3">Number of Copies</label>
               <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3 sm:gap-4">
@@ -492,7 +818,7 @@ export default function App() {
               </div>
 
               <button
-                onClick={handleWebUSBPrint}
+                onClick={handlePrint}
                 disabled={printQueue.filter(item => item.status === 'pending').length === 0}
                 className="mt-4 sm:mt-6 w-full bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed text-white font-bold py-3 sm:py-4 px-4 sm:px-6 rounded-xl shadow-lg hover:shadow-xl transition-all duration-200 transform hover:scale-[1.02] disabled:transform-none"
               >
@@ -508,6 +834,23 @@ export default function App() {
                   </span>
                 </span>
               </button>
+              {isPrintPaused && (
+                <div className="mt-3 flex gap-3">
+                  <button
+                    onClick={() => { printActionRef.current = 'resume'; }}
+                    title="After clearing a jam or error the printer does not recover from by itself"
+                    className="flex-1 px-4 py-2 bg-blue-100 hover:bg-blue-200 text-blue-700 text-sm font-semibold rounded-xl transition-colors"
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={() => { printActionRef.current = 'cancel'; }}
+                    className="flex-1 px-4 py-2 bg-red-100 hover:bg-red-200 text-red-700 text-sm font-semibold rounded-xl transition-colors"
+                  >
+                    Cancel printing
+                  </button>
+                </div>
+              )}
               <div className="mt-3 p-3 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-200">
                 <p className="text-sm text-blue-700 text-center font-medium">⌨️ Shortcut: Ctrl + P / Cmd + P</p>
               </div>
@@ -538,7 +881,7 @@ export default function App() {
               </button>
               {showCosmeticControls && (
                 <div className="mt-4 p-6 bg-white rounded-xl border border-gray-200 shadow-sm">
-                  <Controls settings={settings} onSettingsChange={setSettings} />
+                  <Controls settings={settings} onSettingsChange={setSettings} logoFileUrl={logoFileUrl} onLogoFileChange={handleLogoFileChange} />
                 </div>
               )}
             </div>
@@ -546,7 +889,34 @@ export default function App() {
 
           {/* Container 2: Modern Print Preview */}
           <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 overflow-hidden">
-            <PrintPreview data={xmlData} settings={settings} printRef={printRef} />
+            <div className="flex gap-2 p-3 border-b border-gray-200">
+              {[['layout', 'Preview'], ['raw', 'Raw preview']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setPreviewMode(mode)}
+                  className={`px-4 py-1.5 rounded-lg text-sm font-semibold transition-colors ${previewMode === mode ? 'bg-gradient-to-r from-blue-600 to-indigo-600 text-white shadow' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {copyCount > 1 && (
+              <div className="flex flex-wrap gap-2 px-3 pt-3">
+                {Array.from({ length: copyCount }, (_, copy) => (
+                  <button
+                    key={copy}
+                    onClick={() => setPreviewCopy(copy)}
+                    title={getCopy(printSettings, copy).label}
+                    className={`px-3 py-1 rounded-lg text-xs font-semibold transition-colors ${shownCopy === copy ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                  >
+                    Copy {copy + 1}
+                  </button>
+                ))}
+              </div>
+            )}
+            {previewMode === 'raw'
+              ? <RawPreview data={xmlData} settings={printSettings} copy={shownCopy} copyCount={copyCount} />
+              : <PrintPreview data={xmlData} settings={printSettings} printRef={printRef} copy={shownCopy} copyCount={copyCount} />}
           </div>
         </div>
       </div>
@@ -2,35 +2,117 @@
 
 import React from 'react';
 import OrderInfoControls from './OrderInfoControls';
+import TemplateControls from './TemplateControls';
+import LogoControls from './LogoControls';
+import JobActionsControls from './JobActionsControls';
+import { PRINTER_PROFILES, getPrinterProfile } from './printerProfiles';
+import { CODE_PAGES } from './codePages';
+import { DIALECTS } from './dialects';
+import { DEFAULT_RASTER_FONT } from './rasterText';
+import { normalizeCopies } from './receiptCopies';
+import { DEFAULT_SETTINGS } from './defaultSettings';
+
+export default function Controls({ settings, onSettingsChange, logoFileUrl, onLogoFileChange }) {
+  const profile = getPrinterProfile(settings);
 
-export default function Controls({ settings, onSettingsChange }) {
   const handleChange = (e) => {
     const { name, value } = e.target;
     onSettingsChange(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleCheckboxChange = (e) => {
+    const { name, checked } = e.target;
+    onSettingsChange(prev => ({ ...prev, [name]: checked }));
+  };
+
+  // The code page is remembered per printer profile
+  const handleCodePageChange = (e) => {
+    const { value } = e.target;
+    onSettingsChange(prev => ({ ...prev, codePages: { ...prev.codePages, [profile.id]: value } }));
+  };
+
+  // So is the command set, for shops with printers of different makes
+  const handleDialectChange = (e) => {
+    const { value } = e.target;
+    onSettingsChange(prev => ({ ...prev, dialects: { ...prev.dialects, [profile.id]: value } }));
+  };
+
+  // Copy labels and variations are saved as a whole list
+  const copies = normalizeCopies(settings.copies);
+  const handleCopyChange = (index, field, value) => {
+    onSettingsChange(prev => ({
+      ...prev,
+      copies: copies.map((copy, i) => (i === index ? { ...copy, [field]: value } : copy)),
+    }));
+  };
+
   const handleReset = () => {
-    onSettingsChange({
-      fontFamily: 'monospace',
-      fontSize: 12,
-      lineHeight: 1.4,
-      headerAlignment: 'center',
-      logoUrl: '',
-      lineSeparator: '-',
-      zoom: 1.0,
-      sectionStyles: {
-        orderInfo: {
-          labelBold: false,
-          valueBold: true
-        }
-      }
-    });
+    onSettingsChange(DEFAULT_SETTINGS);
   };
 
   return (
     <div className="p-4 bg-white shadow-lg rounded-lg space-y-4">
       <h3 className="text-xl font-bold border-b pb-2">Cosmetic Controls</h3>
 
+      {/* Printer Profile Block */}
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1">Printer</h4>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Paper Width</label>
+            <select name="printerProfile" value={settings.printerProfile || '80mm'} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+              {Object.entries(PRINTER_PROFILES).map(([id, option]) => (
+                <option key={id} value={id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Printer Font</label>
+            <select name="printerFont" value={profile.font} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+              <option value="A">Font A ({profile.fontACharsPerLine} chars)</option>
+              <option value="B">Font B ({profile.fontBCharsPerLine} chars)</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Command Set</label>
+            <select value={profile.dialect} onChange={handleDialectChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+              {Object.values(DIALECTS).map(dialect => (
+                <option key={dialect.id} value={dialect.id}>{dialect.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Code Page</label>
+            <select value={profile.codePage} onChange={handleCodePageChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+              {Object.keys(DIALECTS[profile.dialect].codePages).map(id => (
+                <option key={id} value={id}>{CODE_PAGES[id].label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Non-Latin Text</label>
+            <select name="textRendering" value={settings.textRendering || 'auto'} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+              <option value="auto">Print as image when needed</option>
+              <option value="raster">Print whole receipt as image</option>
+              <option value="codepage">Code page only (? for missing Latin characters)</option>
+            </select>
+          </div>
+        </div>
+        <label className="block text-sm font-medium text-gray-700 mt-2">Image Text Font</label>
+        <input type="text" name="rasterFontFamily" placeholder={DEFAULT_RASTER_FONT} value={settings.rasterFontFamily || ''} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+        <p className="text-xs text-gray-500 mt-1">The code pages above are Latin only; Hindi, Gujarati, Tamil and other Indian-language text is always printed as an image in this font.</p>
+        <p className="text-xs text-gray-500 mt-2">{profile.charsPerLine} characters per line, {profile.dotsPerLine} dots at {profile.dpi} DPI</p>
+      </div>
+
+      {/* End of Receipt Block */}
+      <JobActionsControls
+        settings={settings}
+        profile={profile}
+        onChange={(jobActions) =>
+          onSettingsChange(prev => ({ ...prev, jobActions }))
+        }
+      />
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div>
           <label className="block text-sm font-medium text-gray-700">Font Family</label>
@@ -50,25 +132,91 @@ export default function Controls({ settings, onSettingsChange }) {
           <label className="block text-sm font-medium text-gray-700">Line Height</label>
           <input type="number" step="0.1" name="lineHeight" value={settings.lineHeight} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
         </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700">Header Alignment</label>
-          <select name="headerAlignment" value={settings.headerAlignment} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
-            <option value="left">Left</option>
-            <option value="center">Center</option>
-            <option value="right">Right</option>
-          </select>
-        </div>
       </div>
 
+      {/* Logo Block */}
+      <LogoControls
+        settings={settings}
+        profile={profile}
+        onSettingsChange={onSettingsChange}
+        logoFileUrl={logoFileUrl}
+        onLogoFileChange={onLogoFileChange}
+      />
       <div>
-        <label className="block text-sm font-medium text-gray-700">Logo Image URL</label>
-        <input type="text" name="logoUrl" placeholder="https://.../logo.png" value={settings.logoUrl} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+        <label className="block text-sm font-medium text-gray-700">Amount in Words</label>
+        <select name="amountInWordsLanguage" value={settings.amountInWordsLanguage || 'en'} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+          <option value="en">English</option>
+          <option value="hi">Hindi (हिन्दी)</option>
+          <option value="hi-Latn">Hindi (Roman script)</option>
+        </select>
       </div>
       <div>
         <label className="block text-sm font-medium text-gray-700">Line Separator Character</label>
         <input type="text" maxLength="1" name="lineSeparator" value={settings.lineSeparator} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
       </div>
 
+      {/* Totals Reconciliation Block */}
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1">Totals Check</h4>
+        <label className="block text-sm font-medium text-gray-700 mt-2">Tolerance (Rs.)</label>
+        <input type="number" step="0.01" min="0" name="reconcileTolerance" value={settings.reconcileTolerance ?? 0.01} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+        <label className="flex items-center gap-2 mt-2">
+          <input
+            type="checkbox"
+            name="blockMismatchedPrints"
+            checked={Boolean(settings.blockMismatchedPrints)}
+            onChange={handleCheckboxChange}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Hold mismatched vouchers until confirmed
+        </label>
+      </div>
+
+      {/* Payment QR & Barcode Block */}
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1">Payment QR &amp; Barcode</h4>
+        <label className="block text-sm font-medium text-gray-700 mt-2">UPI ID (VPA)</label>
+        <input type="text" name="upiId" placeholder="shopname@okbank" value={settings.upiId || ''} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+        <label className="flex items-center gap-2 mt-2">
+          <input
+            type="checkbox"
+            name="nativeQr"
+            checked={settings.nativeQr !== false}
+            onChange={handleCheckboxChange}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Use the printer's built-in QR engine
+        </label>
+        <p className="text-xs text-gray-500 mt-1">
+          Turn on "UPI Payment QR" and "Voucher Number Barcode" under Receipt Layout. Untick the QR option if the printer prints the QR data as text.
+        </p>
+      </div>
+
+      {/* Copies Block */}
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <h4 className="text-md font-semibold border-b pb-1">Copies</h4>
+        <div className="space-y-2 mt-2">
+          {copies.map((copy, index) => (
+            <div key={index} className="flex items-center gap-2 text-sm">
+              <span className="w-14 text-gray-600">Copy {index + 1}</span>
+              <input type="text" value={copy.label} onChange={e => handleCopyChange(index, 'label', e.target.value)} className="flex-1 p-1 border border-gray-300 rounded-md" />
+              <label className="flex items-center gap-1 whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={copy.hidePrices}
+                  onChange={e => handleCopyChange(index, 'hidePrices', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                No prices
+              </label>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Labels print when more than one copy is printed; hide "Copy Label" under Receipt Layout to leave them out. Later copies print as EXTRA COPY.
+        </p>
+      </div>
+
       {/* Order Info Formatting Block */}
       <OrderInfoControls
         sectionStyles={settings.sectionStyles}
@@ -83,6 +231,14 @@ export default function Controls({ settings, onSettingsChange }) {
         }
       />
 
+      {/* Receipt Template Block */}
+      <TemplateControls
+        settings={settings}
+        onChange={(receiptTemplates) =>
+          onSettingsChange(prev => ({ ...prev, receiptTemplates }))
+        }
+      />
+
       <div className="pt-2">
         <button onClick={handleReset} className="w-full bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors">
           Reset to Defaults
@@ -0,0 +1,87 @@
+// src/ItemColumnsControls.jsx
+
+import React, { useState } from 'react';
+import { ITEM_COLUMNS, minimumColumnsWidth } from './receiptTable';
+
+export default function ItemColumnsControls({ columns, rowLayout, lineWidth, onColumnsChange, onRowLayoutChange }) {
+  const [rejected, setRejected] = useState(''); // Why the last edit was not taken
+  const neededWidth = minimumColumnsWidth(columns);
+
+  // Column sets wider than the line are not taken; edits that narrow one are
+  const update = (index, field, value) => {
+    const updated = columns.map((column, i) => (i === index ? { ...column, [field]: value } : column));
+    const width = minimumColumnsWidth(updated);
+    if (field === 'width' && parseInt(value, 10) > lineWidth) {
+      setRejected(`A column cannot be wider than the line (${lineWidth} characters).`);
+    } else if (width > lineWidth && width > neededWidth) {
+      setRejected(`The headings other than Item would need ${width} characters, but a line has ${lineWidth}.`);
+    } else {
+      setRejected('');
+      onColumnsChange(updated);
+    }
+  };
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= columns.length) return;
+    const reordered = [...columns];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onColumnsChange(reordered);
+  };
+
+  return (
+    <div className="col-span-2 space-y-1">
+      <select value={rowLayout} onChange={e => onRowLayoutChange(e.target.value)} className="w-full p-1 border border-gray-300 rounded-md">
+        <option value="two-line">Two-line rows (name, then figures)</option>
+        <option value="single-line">Single-line rows (all columns side by side)</option>
+      </select>
+      {columns.map((column, index) => (
+        <div key={column.id} className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={column.visible}
+            onChange={e => update(index, 'visible', e.target.checked)}
+            title={`Show ${ITEM_COLUMNS[column.id].name}`}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            value={column.label}
+            placeholder={ITEM_COLUMNS[column.id].name}
+            title={`${ITEM_COLUMNS[column.id].name} heading`}
+            onChange={e => update(index, 'label', e.target.value)}
+            className="w-20 p-1 border border-gray-300 rounded-md"
+          />
+          {column.id === 'name' ? (
+            <span className="w-14 text-xs text-gray-500 text-center" title="The item name takes the remaining width">fill</span>
+          ) : (
+            <input
+              type="number"
+              min="1"
+              max={lineWidth}
+              value={column.width}
+              title="Preferred width in characters"
+              onChange={e => update(index, 'width', e.target.value)}
+              className="w-14 p-1 border border-gray-300 rounded-md"
+            />
+          )}
+          <select value={column.align} onChange={e => update(index, 'align', e.target.value)} className="flex-1 p-1 border border-gray-300 rounded-md">
+            <option value="left">Left</option>
+            <option value="center">Center</option>
+            <option value="right">Right</option>
+          </select>
+          <button onClick={() => move(index, -1)} disabled={index === 0} title="Move left" className="px-1 text-gray-600 hover:text-blue-600 disabled:opacity-30">↑</button>
+          <button onClick={() => move(index, 1)} disabled={index === columns.length - 1} title="Move right" className="px-1 text-gray-600 hover:text-blue-600 disabled:opacity-30">↓</button>
+        </div>
+      ))}
+      {(rejected || neededWidth > lineWidth) && (
+        <p className="text-xs text-red-600">
+          {rejected || `The headings other than Item need ${neededWidth} characters, but a line has ${lineWidth}.`} Shorten or hide a column first.
+        </p>
+      )}
+      <p className="text-xs text-gray-500">
+        Widths shrink to fit the paper but never cut a value. HSN, Unit and Disc are left out when no item has them.
+      </p>
+    </div>
+  );
+}
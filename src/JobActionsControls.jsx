@@ -0,0 +1,118 @@
+// src/JobActionsControls.jsx
+
+import React, { useState } from 'react';
+import { TEMPLATE_VOUCHER_TYPES } from './receiptTemplate';
+import { getJobActions } from './jobActions';
+
+export default function JobActionsControls({ settings, profile, onChange }) {
+  const [voucherType, setVoucherType] = useState('default');
+  const allActions = settings.jobActions || {};
+  const profileActions = allActions[profile.id] || {};
+  const hasOwnActions = Boolean(profileActions[voucherType]);
+  const actions = getJobActions(settings, voucherType === 'default' ? undefined : { heading: voucherType });
+
+  // Any edit saves the whole set under the selected profile and voucher type
+  const update = (field, value) => {
+    onChange({ ...allActions, [profile.id]: { ...profileActions, [voucherType]: { ...actions, [field]: value } } });
+  };
+
+  const resetActions = () => {
+    const remaining = { ...profileActions };
+    delete remaining[voucherType];
+    onChange({ ...allActions, [profile.id]: remaining });
+  };
+
+  const isDotMatrix = profile.dialect === 'escp';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">End of Receipt</h4>
+      <p className="text-xs text-gray-500 mt-1">For the {profile.label} profile.</p>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Voucher Type</label>
+      <select value={voucherType} onChange={e => setVoucherType(e.target.value)} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+        <option value="default">Default (all vouchers)</option>
+        {TEMPLATE_VOUCHER_TYPES.map(type => (
+          <option key={type} value={type}>{type}{profileActions[type] ? ' *' : ''}</option>
+        ))}
+      </select>
+
+      <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
+        <label className="block">
+          Feed lines
+          <input type="number" min="0" max="20" value={actions.feedLines} onChange={e => update('feedLines', e.target.value)} className="mt-1 block w-full p-1 border border-gray-300 rounded-md" />
+        </label>
+        <label className="block">
+          {isDotMatrix ? 'Form feed' : 'Cut'}
+          <select value={actions.cut} onChange={e => update('cut', e.target.value)} className="mt-1 block w-full p-1 border border-gray-300 rounded-md">
+            <option value="full">{isDotMatrix ? 'Next form' : 'Full cut'}</option>
+            {!isDotMatrix && <option value="partial">Partial cut</option>}
+            <option value="none">{isDotMatrix ? 'None' : 'No cut (tear off)'}</option>
+          </select>
+        </label>
+        {actions.cut !== 'none' && (
+          <select value={actions.cutAfter} onChange={e => update('cutAfter', e.target.value)} className="col-span-2 p-1 border border-gray-300 rounded-md">
+            <option value="copy">After every copy</option>
+            <option value="batch">Once, at the end of the batch</option>
+          </select>
+        )}
+
+        <label className="col-span-2 flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={actions.drawer}
+            disabled={isDotMatrix}
+            onChange={e => update('drawer', e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Open the cash drawer
+        </label>
+        {actions.drawer && !isDotMatrix && (
+          <>
+            <select value={actions.drawerPin} onChange={e => update('drawerPin', Number(e.target.value))} className="col-span-2 p-1 border border-gray-300 rounded-md">
+              <option value={2}>Drawer on pin 2</option>
+              <option value={5}>Drawer on pin 5</option>
+            </select>
+            <label className="block">
+              Pulse on (ms)
+              <input type="number" min="10" max="500" step="10" value={actions.drawerOnMs} onChange={e => update('drawerOnMs', e.target.value)} className="mt-1 block w-full p-1 border border-gray-300 rounded-md" />
+            </label>
+            <label className="block">
+              Pulse off (ms)
+              <input type="number" min="10" max="500" step="10" value={actions.drawerOffMs} onChange={e => update('drawerOffMs', e.target.value)} className="mt-1 block w-full p-1 border border-gray-300 rounded-md" />
+            </label>
+          </>
+        )}
+
+        <label className="col-span-2 flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={actions.beep}
+            onChange={e => update('beep', e.target.checked)}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Beep
+        </label>
+        {actions.beep && (
+          <>
+            <label className="block">
+              Beeps
+              <input type="number" min="1" max="9" value={actions.beepCount} onChange={e => update('beepCount', e.target.value)} className="mt-1 block w-full p-1 border border-gray-300 rounded-md" />
+            </label>
+            <label className="block">
+              Length (ms)
+              <input type="number" min="50" max="450" step="50" value={actions.beepMs} onChange={e => update('beepMs', e.target.value)} className="mt-1 block w-full p-1 border border-gray-300 rounded-md" />
+            </label>
+          </>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        The drawer and beep happen once per voucher, after its last copy.{' '}
+        {voucherType !== 'default' && (hasOwnActions
+          ? <button onClick={resetActions} className="text-blue-600 hover:underline">Use the default for {voucherType}</button>
+          : `${voucherType} uses the default; any change here gives it its own.`)}
+      </p>
+    </div>
+  );
+}
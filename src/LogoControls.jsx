@@ -0,0 +1,105 @@
+// src/LogoControls.jsx
+
+import React, { useEffect, useRef, useState } from 'react';
+import { LOGO_DITHER_METHODS, loadLogoRaster, getLogoOptions } from './logoRaster';
+
+export default function LogoControls({ settings, profile, onSettingsChange, logoFileUrl, onLogoFileChange }) {
+  const canvasRef = useRef(null);
+  const [previewState, setPreviewState] = useState('empty'); // 'empty' | 'ready' | 'error'
+  const source = settings.logoSource === 'file' ? 'file' : 'url';
+  const logoUrl = source === 'file' ? logoFileUrl : settings.logoUrl;
+  const { method, threshold } = getLogoOptions(settings);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onSettingsChange(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Draw the logo exactly as the printer will get it, one pixel per dot
+  useEffect(() => {
+    let cancelled = false;
+    if (!logoUrl) {
+      setPreviewState('empty');
+      return;
+    }
+    loadLogoRaster(logoUrl, profile.dotsPerLine, { method, threshold }).then(raster => {
+      if (cancelled || !canvasRef.current) return;
+      if (!raster) {
+        setPreviewState('error');
+        return;
+      }
+      const canvas = canvasRef.current;
+      canvas.width = raster.width;
+      canvas.height = raster.height;
+      const ctx = canvas.getContext('2d');
+      const image = ctx.createImageData(raster.width, raster.height);
+      raster.dots.forEach((dot, i) => {
+        const value = dot ? 0 : 255;
+        image.data.set([value, value, value, 255], i * 4);
+      });
+      ctx.putImageData(image, 0, 0);
+      setPreviewState('ready');
+    });
+    return () => { cancelled = true; };
+  }, [logoUrl, profile.dotsPerLine, method, threshold]);
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Logo</h4>
+
+      <div className="flex gap-4 mt-2 text-sm">
+        {[['url', 'Image URL'], ['file', 'Upload file']].map(([value, label]) => (
+          <label key={value} className="flex items-center gap-2">
+            <input type="radio" name="logoSource" value={value} checked={source === value} onChange={handleChange} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {source === 'url' ? (
+        <>
+          <input type="text" name="logoUrl" placeholder="https://.../logo.png" value={settings.logoUrl} onChange={handleChange} className="mt-2 block w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+          <p className="text-xs text-gray-500 mt-1">The image server must allow cross-origin (CORS) requests.</p>
+        </>
+      ) : (
+        <div className="flex items-center gap-2 mt-2">
+          <input
+            type="file"
+            accept="image/*"
+            onChange={e => e.target.files[0] && onLogoFileChange(e.target.files[0])}
+            className="flex-1 text-sm"
+          />
+          {logoFileUrl && (
+            <button onClick={() => onLogoFileChange(null)} className="bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm font-semibold py-1 px-3 rounded-lg transition-colors">
+              Remove
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Dithering</label>
+          <select name="logoDither" value={method} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+            {Object.entries(LOGO_DITHER_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Threshold ({threshold})</label>
+          <input type="range" min="0" max="255" name="logoThreshold" value={threshold} onChange={handleChange} className="mt-3 block w-full" />
+        </div>
+      </div>
+
+      <div className="mt-2">
+        <canvas
+          ref={canvasRef}
+          className={`border border-gray-200 bg-white max-w-full ${previewState === 'ready' ? '' : 'hidden'}`}
+          style={{ width: `${Math.round((profile.dotsPerLine / profile.dpi) * 96)}px`, imageRendering: 'pixelated' }}
+        />
+        {previewState === 'error' && <p className="text-xs text-red-600">The logo could not be loaded.</p>}
+      </div>
+    </div>
+  );
+}
@@ -1,15 +1,11 @@
 // src/PrintPreview.jsx
 
 import React from 'react';
-import { formatINR } from './utils/formatters'; // <--- IMPORTANT: Import formatINR from the utility file
+import buildReceiptLayout from './receiptLayout';
 
-// REMOVE THE formatINR FUNCTION DEFINITION FROM HERE!
-// function formatINR(value) {
-//   const number = parseFloat(value);
-//   return isNaN(number) ? '' : `₹${number.toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
-// }
+const ALIGN_CLASSES = { left: 'text-left', center: 'text-center', right: 'text-right' };
 
-export default function PrintPreview({ data, settings, printRef }) {
+export default function PrintPreview({ data, settings, printRef, copy = 0, copyCount = 1 }) {
   if (!data) {
     return (
       <div className="p-8 border-2 border-dashed rounded-lg text-gray-500 bg-gray-50 flex items-center justify-center h-full">
@@ -18,130 +14,105 @@ export default function PrintPreview({ data, settings, printRef }) {
     );
   }
 
-  const separator = settings.lineSeparator.repeat(40);
+  // The same layout the printer gets, one row per printed line, in a column
+  // exactly as many characters wide as the printer's
+  const { profile, width, lines } = buildReceiptLayout(data, settings, { copy, copyCount, lastCopy: copy === copyCount - 1 });
 
   return (
     <div
       ref={printRef}
-      className="p-4 bg-white shadow-lg rounded-lg font-mono text-black"
+      className="p-4 bg-white shadow-lg rounded-lg text-black overflow-hidden"
       style={{
-        width: '302px',
+        width: 'fit-content',
         fontFamily: settings.fontFamily,
         fontSize: `${settings.fontSize}px`,
         lineHeight: settings.lineHeight
       }}
     >
-      {settings.logoUrl && (
-        <div className="flex justify-center mb-2">
-          <img src={settings.logoUrl} alt="logo" className="max-w-[150px] max-h-20" onError={e => (e.target.style.display = 'none')} />
-        </div>
-      )}
-
-      <div className={
-        settings.headerAlignment === 'center'
-          ? 'text-center'
-          : settings.headerAlignment === 'right'
-            ? 'text-right'
-            : 'text-left'
-      }>
-        <h2 className="font-bold text-lg" style={{ fontSize: `${settings.fontSize * 1.2}px` }}>
-          {data.company.name}
-        </h2>
-        {data.company.gstin && <p>GSTIN: {data.company.gstin}</p>}
-      </div>
-
-      <p>{separator}</p>
-      <div className="text-center">
-        <h3 className="font-bold">{data.heading}</h3>	
-      </div>
-      <p>{separator}</p>
-
-      <div className="mb-2">
-        <p>
-          <span className={settings.sectionStyles.orderInfo.labelBold ? 'font-bold' : ''}>Order No: </span>
-          <span className={settings.sectionStyles.orderInfo.valueBold ? 'font-bold' : ''}>{data.order.number}</span>
-        </p>
-        <p>
-          <span className={settings.sectionStyles.orderInfo.labelBold ? 'font-bold' : ''}>Date: </span>
-          <span className={settings.sectionStyles.orderInfo.valueBold ? 'font-bold' : ''}>{data.order.date}</span>
-        </p>
-        <p>
-          <span className={settings.sectionStyles.orderInfo.labelBold ? 'font-bold' : ''}>User: </span>
-          <span className={settings.sectionStyles.orderInfo.valueBold ? 'font-bold' : ''}>{data.order.user}</span>
-        </p>
-      </div>
-
-      <p>{separator}</p>
-      <div>
-        <p className="font-bold">Bill To:</p>
-        <p>{data.party.name}</p>
-        <p style={{ whiteSpace: 'pre-wrap' }}>{data.party.address}</p>
-        <p>GSTIN: {data.party.gstin}</p>
-      </div>
-
-      <p>{separator}</p>
-      <p className="font-bold">Item Details</p>
-      <p>{separator}</p>
-      {data.items.map((item, index) => (
-        <div key={index}>
-          <p className="font-bold">{`${index + 1}. ${item.name}`}</p>
-          <div className="flex justify-between">
-            <span>{`      ${item.qty} x ${formatINR(item.rate)} =`}</span>
-            <span className="text-right">{formatINR(item.amount)}</span>
-          </div>
-        </div>
-      ))}
-
-      <p>{separator}</p>
-
-      {/* Subtotal and Tax Block */}
-      <div className="space-y-1">
-        <div className="flex justify-between">
-          <span>Subtotal:</span>
-          <span className="text-right">{formatINR(data.totals.subtotal)}</span>
-        </div>
-
-        {/* Conditional tax rendering */}
-        {parseFloat(data.totals.igst) > 0 ? (
-          <div className="flex justify-between">
-            <span>IGST:</span>
-            <span className="text-right">{formatINR(data.totals.igst)}</span>
-          </div>
-        ) : (
-          <>
-            <div className="flex justify-between">
-              <span>CGST:</span>
-              <span className="text-right">{formatINR(data.totals.cgst)}</span>
-            </div>
-            <div className="flex justify-between">
-              <span>SGST:</span>
-              <span className="text-right">{formatINR(data.totals.sgst)}</span>
+      <div style={{ width: `${width}ch` }}>
+        {lines.map((line, index) => {
+          if (line.type === 'image') {
+            return (
+              <div key={index} className={ALIGN_CLASSES[line.align]}>
+                <img
+                  src={line.url}
+                  alt="logo"
+                  className="inline-block"
+                  style={{ width: `${(line.width / profile.dotsPerLine) * 100}%` }}
+                  onError={e => (e.target.style.display = 'none')}
+                />
+              </div>
+            );
+          }
+          if (line.type === 'qr') {
+            const size = line.modules.length;
+            return (
+              <div key={index} className={ALIGN_CLASSES[line.align]}>
+                <svg
+                  viewBox={`0 0 ${size} ${size}`}
+                  className="inline-block"
+                  style={{ width: `${((size * line.moduleSize) / profile.dotsPerLine) * 100}%` }}
+                  shapeRendering="crispEdges"
+                >
+                  {line.modules.flatMap((row, y) => row.map((dark, x) => (
+                    dark ? <rect key={`${x}-${y}`} x={x} y={y} width={1} height={1} /> : null
+                  )))}
+                </svg>
+              </div>
+            );
+          }
+          if (line.type === 'barcode') {
+            const totalModules = line.widths.reduce((sum, w) => sum + w, 0);
+            let x = 0;
+            return (
+              <div key={index} className={ALIGN_CLASSES[line.align]}>
+                <svg
+                  viewBox={`0 0 ${totalModules} ${line.height / line.moduleWidth}`}
+                  preserveAspectRatio="none"
+                  className="inline-block"
+                  style={{
+                    width: `${((totalModules * line.moduleWidth) / profile.dotsPerLine) * 100}%`,
+                    aspectRatio: `${totalModules * line.moduleWidth} / ${line.height}`
+                  }}
+                  shapeRendering="crispEdges"
+                >
+                  {line.widths.map((w, barIndex) => {
+                    const bar = barIndex % 2 === 0 ? <rect key={barIndex} x={x} y={0} width={w} height={line.height / line.moduleWidth} /> : null;
+                    x += w;
+                    return bar;
+                  })}
+                </svg>
+                <div className="whitespace-pre">{line.data}</div>
+              </div>
+            );
+          }
+          if (line.type === 'feed') {
+            return <div key={index} style={{ height: `${line.lines * settings.lineHeight}em` }} />;
+          }
+          if (line.type === 'cut') {
+            return <div key={index} className={`border-t ${line.partial ? 'border-dotted' : 'border-dashed'} border-gray-400`} title={line.partial ? 'Partial cut' : 'Paper cut'} />;
+          }
+          if (line.type === 'drawer' || line.type === 'beep') {
+            return (
+              <div key={index} className="text-right text-xs text-gray-400 font-sans">
+                {line.type === 'drawer' ? `Cash drawer (pin ${line.pin})` : `Beep x${line.count}`}
+              </div>
+            );
+          }
+          const isBlank = line.segments.every(segment => !segment.text);
+          return (
+            <div
+              key={index}
+              className={`${ALIGN_CLASSES[line.align]} whitespace-pre`}
+              style={line.size === 'double' ? { fontSize: '2em' } : undefined}
+            >
+              {isBlank ? ' ' : line.segments.map((segment, segmentIndex) => (
+                <span key={segmentIndex} className={segment.bold ? 'font-bold' : ''}>{segment.text}</span>
+              ))}
             </div>
-          </>
-        )}
-      </div>
-
-      <p>{separator}</p>
-
-      {/* Grand Total */}
-      <div className="font-bold flex justify-between">
-        <span>TOTAL:</span>
-        <span className="text-right">{formatINR(data.totals.total)}</span>
-      </div>
-
-      <p>{separator}</p>
-
-      <div className="text-center text-sm mt-2">
-        {data.narration && (
-          <>
-            <p className="font-bold mt-2">Remarks:</p>
-            <p style={{ whiteSpace: 'pre-wrap' }}>{data.narration}</p>
-            <p>{separator}</p>
-          </>
-        )}
-
-        <p>Thank you for your business!</p>
+          );
+        })}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
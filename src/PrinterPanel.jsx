@@ -0,0 +1,177 @@
+// src/PrinterPanel.jsx
+
+import React, { useState } from 'react';
+import { PRINTER_PROFILES } from './printerProfiles';
+import { TRANSPORTS } from './printerTransports';
+import { BAUD_RATES } from './serialTransport';
+import { DEFAULT_NETWORK_PORT } from './networkTransport';
+import { describeStatus } from './printerStatus';
+
+const STATUS_TONES = {
+  ok: 'bg-green-100 text-green-700',
+  warning: 'bg-yellow-100 text-yellow-800',
+  fault: 'bg-red-100 text-red-700',
+  unknown: 'bg-gray-100 text-gray-500',
+};
+
+export default function PrinterPanel({ registry, available, onRegistryChange, onAddPrinter, onSelectPrinter, status, onCheckStatus }) {
+  const [networkAddress, setNetworkAddress] = useState(null); // { host, port } while adding a network printer
+
+  const update = (key, field, value) => {
+    onRegistryChange({
+      ...registry,
+      printers: registry.printers.map(printer => (printer.key === key ? { ...printer, [field]: value } : printer)),
+    });
+  };
+
+  const remove = (key) => {
+    onRegistryChange({
+      printers: registry.printers.filter(printer => printer.key !== key),
+      selectedKey: registry.selectedKey === key ? null : registry.selectedKey,
+    });
+  };
+
+  return (
+    <div className="mb-6 lg:mb-8">
+      <label className="block font-semibold text-gray-700 mb-3">Printers</label>
+      {registry.printers.length === 0 && (
+        <p className="text-sm text-gray-500 mb-2">No printers yet. Add one, or pick it when you first print.</p>
+      )}
+      <ul className="space-y-2">
+        {registry.printers.map(printer => {
+          const connected = available.has(printer.key);
+          const transport = printer.transport || 'usb';
+          return (
+            <li key={printer.key} className={`p-3 rounded-xl border-2 ${registry.selectedKey === printer.key ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white'}`}>
+              <div className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="selectedPrinter"
+                  checked={registry.selectedKey === printer.key}
+                  onChange={() => onSelectPrinter(printer)}
+                  title="Print to this printer"
+                  className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                />
+                <input
+                  type="text"
+                  value={printer.name}
+                  onChange={e => update(printer.key, 'name', e.target.value)}
+                  className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md text-sm font-semibold"
+                />
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${connected ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}
+                  title={transport === 'network'
+                    ? (connected ? 'The print bridge reaches this printer' : 'Printer or print bridge not reachable')
+                    : (connected ? 'Plugged in and allowed; prints without asking' : 'Not plugged in, or this browser needs to be allowed again')}
+                >
+                  {connected ? 'Connected' : 'Not connected'}
+                </span>
+                <button onClick={() => remove(printer.key)} title="Forget this printer" className="px-1 text-gray-400 hover:text-red-600">✕</button>
+              </div>
+              {registry.selectedKey === printer.key && (
+                <div className="flex items-center gap-2 mt-2 text-xs">
+                  <span className={`px-2 py-0.5 rounded-full font-semibold ${STATUS_TONES[describeStatus(status).tone]}`}>
+                    {describeStatus(status).label}
+                  </span>
+                  <button
+                    onClick={onCheckStatus}
+                    disabled={!connected}
+                    title="Ask the printer for paper, cover and online status (ESC/POS printers)"
+                    className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                  >
+                    Check status
+                  </button>
+                </div>
+              )}
+              <div className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+                <select
+                  value={printer.profile}
+                  onChange={e => update(printer.key, 'profile', e.target.value)}
+                  className="p-1 border border-gray-300 rounded-md text-sm text-gray-700"
+                >
+                  {Object.entries(PRINTER_PROFILES).map(([id, profile]) => (
+                    <option key={id} value={id}>{profile.label}</option>
+                  ))}
+                </select>
+                <span>{TRANSPORTS[transport].label}</span>
+                <span className="font-mono truncate">{printer.key}</span>
+              </div>
+              {transport === 'serial' && (
+                <div className="flex items-center gap-2 mt-2">
+                  <select
+                    value={printer.baudRate}
+                    onChange={e => update(printer.key, 'baudRate', Number(e.target.value))}
+                    title="Must match the printer's baud rate"
+                    className="p-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    {BAUD_RATES.map(rate => <option key={rate} value={rate}>{rate} baud</option>)}
+                  </select>
+                  <select
+                    value={printer.flowControl}
+                    onChange={e => update(printer.key, 'flowControl', e.target.value)}
+                    className="p-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="none">No flow control</option>
+                    <option value="hardware">RTS/CTS flow control</option>
+                  </select>
+                </div>
+              )}
+              {transport === 'network' && (
+                <label className="block mt-2 text-xs text-gray-500">
+                  Print bridge
+                  <input
+                    type="text"
+                    value={printer.bridgeUrl}
+                    onChange={e => update(printer.key, 'bridgeUrl', e.target.value)}
+                    className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm font-mono"
+                  />
+                </label>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex flex-wrap gap-2 mt-2">
+        <button onClick={() => onAddPrinter('usb')} className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded-lg transition-colors">
+          + USB printer
+        </button>
+        <button onClick={() => onAddPrinter('serial')} className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded-lg transition-colors">
+          + Serial / Bluetooth
+        </button>
+        <button onClick={() => setNetworkAddress({ host: '', port: DEFAULT_NETWORK_PORT })} className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-semibold rounded-lg transition-colors">
+          + Network printer
+        </button>
+      </div>
+      {networkAddress && (
+        <div className="flex items-center gap-2 mt-2">
+          <input
+            type="text"
+            placeholder="192.168.1.50"
+            value={networkAddress.host}
+            onChange={e => setNetworkAddress({ ...networkAddress, host: e.target.value.trim() })}
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md text-sm font-mono"
+          />
+          <input
+            type="number"
+            min="1"
+            max="65535"
+            value={networkAddress.port}
+            onChange={e => setNetworkAddress({ ...networkAddress, port: Number(e.target.value) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <button
+            onClick={() => {
+              onAddPrinter('network', networkAddress);
+              setNetworkAddress(null);
+            }}
+            disabled={!networkAddress.host}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-semibold rounded-md"
+          >
+            Add
+          </button>
+          <button onClick={() => setNetworkAddress(null)} className="px-1 text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+      )}
+    </div>
+  );
+}
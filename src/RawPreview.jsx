@@ -0,0 +1,68 @@
+// src/RawPreview.jsx
+
+import React, { useEffect, useRef, useState } from 'react';
+import generateEscPosCommands from './generateEscPosCommands';
+import { interpretEscPos, drawEscPos } from './escPosInterpreter';
+import { getPrinterProfile } from './printerProfiles';
+import { DIALECTS, DEFAULT_DIALECT } from './dialects';
+
+export default function RawPreview({ data, settings, copy = 0, copyCount = 1 }) {
+  const canvasRef = useRef(null);
+  const [info, setInfo] = useState(null);
+
+  // Generate the exact bytes the printer would receive and play them back
+  useEffect(() => {
+    if (!data) return;
+    let cancelled = false;
+    const profile = getPrinterProfile(settings);
+    generateEscPosCommands(data, settings, { copy, copyCount, lastCopy: copy === copyCount - 1 }).then(bytes => {
+      if (cancelled || !canvasRef.current) return;
+      // Only ESC/POS can be played back; other command sets just report their size
+      if (profile.dialect !== DEFAULT_DIALECT) {
+        setInfo({ byteCount: bytes.length, unknown: [], dialect: DIALECTS[profile.dialect].label });
+        return;
+      }
+      const page = interpretEscPos(bytes, profile);
+      drawEscPos(canvasRef.current, page);
+      setInfo({ byteCount: bytes.length, unknown: page.unknown, widthPx: Math.round((profile.dotsPerLine / profile.dpi) * 96) });
+    }).catch(err => {
+      console.error("Failed to generate the raw preview:", err);
+      // The canvas still shows the last receipt, so it is hidden behind the error
+      if (!cancelled) setInfo({ error: err.message });
+    });
+    return () => { cancelled = true; };
+  }, [data, settings, copy, copyCount]);
+
+  if (!data) {
+    return (
+      <div className="p-8 border-2 border-dashed rounded-lg text-gray-500 bg-gray-50 flex items-center justify-center h-full">
+        <p>Upload a Tally XML file to see the preview.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 bg-white shadow-lg rounded-lg">
+      {info && info.error && (
+        <p className="text-sm text-red-600">The print commands could not be generated: {info.error}</p>
+      )}
+      {info && info.dialect && (
+        <p className="text-sm text-gray-600">
+          The raw preview plays back ESC/POS only. This profile prints in {info.dialect}; use the layout preview to check the receipt.
+        </p>
+      )}
+      {/* Canvas pixels are printer dots, shown at their physical size on paper */}
+      <canvas
+        ref={canvasRef}
+        className={`border border-gray-200 ${info && (info.dialect || info.error) ? 'hidden' : ''}`}
+        style={{ width: info ? `${info.widthPx}px` : undefined, imageRendering: 'pixelated' }}
+      />
+      {info && !info.error && (
+        <p className="text-xs text-gray-500 mt-2">
+          {info.byteCount.toLocaleString('en-IN')} bytes
+          {info.unknown.length > 0 && ` · not previewed: ${info.unknown.join(', ')}`}
+        </p>
+      )}
+    </div>
+  );
+}
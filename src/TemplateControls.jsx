@@ -0,0 +1,144 @@
+// src/TemplateControls.jsx
+
+import React, { useState } from 'react';
+import { RECEIPT_SECTIONS, TEMPLATE_VOUCHER_TYPES, getReceiptTemplate } from './receiptTemplate';
+import ItemColumnsControls from './ItemColumnsControls';
+import { getPrinterProfile } from './printerProfiles';
+
+const SECTION_NAMES = Object.fromEntries(RECEIPT_SECTIONS.map(section => [section.id, section.name]));
+const ORDER_INFO_FIELDS = [['number', 'Number label'], ['date', 'Date label'], ['user', 'User label']];
+
+export default function TemplateControls({ settings, onChange }) {
+  const [voucherType, setVoucherType] = useState('default');
+  const templates = settings.receiptTemplates || {};
+  const hasOwnTemplate = Boolean(templates[voucherType]);
+  const sections = getReceiptTemplate(settings, voucherType === 'default' ? undefined : { heading: voucherType });
+
+  // Any edit saves the whole layout under the selected voucher type
+  const save = (updatedSections) => {
+    onChange({ ...templates, [voucherType]: updatedSections });
+  };
+
+  const update = (index, field, value) => {
+    save(sections.map((section, i) => (i === index ? { ...section, [field]: value } : section)));
+  };
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= sections.length) return;
+    const reordered = [...sections];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    save(reordered);
+  };
+
+  const resetLayout = () => {
+    const remaining = { ...templates };
+    delete remaining[voucherType];
+    onChange(remaining);
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-md font-semibold border-b pb-1">Receipt Layout</h4>
+
+      <label className="block text-sm font-medium text-gray-700 mt-2">Voucher Type</label>
+      <select value={voucherType} onChange={e => setVoucherType(e.target.value)} className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm">
+        <option value="default">Default (all vouchers)</option>
+        {TEMPLATE_VOUCHER_TYPES.map(type => (
+          <option key={type} value={type}>{type}{templates[type] ? ' *' : ''}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">
+        {voucherType === 'default'
+          ? 'Used by every voucher type without a layout of its own.'
+          : hasOwnTemplate
+            ? `${voucherType} has its own layout.`
+            : `${voucherType} uses the default layout; any change here gives it its own.`}
+      </p>
+
+      <ul className="mt-2 space-y-2">
+        {sections.map((section, index) => (
+          <li key={section.id} className="p-2 bg-white rounded border border-gray-200">
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={section.visible}
+                onChange={e => update(index, 'visible', e.target.checked)}
+                title="Show this section"
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <span className={`flex-1 text-sm font-medium ${section.visible ? '' : 'text-gray-400 line-through'}`}>
+                {SECTION_NAMES[section.id]}
+              </span>
+              <button onClick={() => move(index, -1)} disabled={index === 0} title="Move up" className="px-2 text-gray-600 hover:text-blue-600 disabled:opacity-30">↑</button>
+              <button onClick={() => move(index, 1)} disabled={index === sections.length - 1} title="Move down" className="px-2 text-gray-600 hover:text-blue-600 disabled:opacity-30">↓</button>
+            </div>
+
+            {section.visible && (
+              <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
+                {section.label !== undefined && (
+                  <input
+                    type="text"
+                    value={section.label}
+                    placeholder={section.id === 'heading' ? 'Voucher heading' : 'Label'}
+                    onChange={e => update(index, 'label', e.target.value)}
+                    className="col-span-2 p-1 border border-gray-300 rounded-md"
+                  />
+                )}
+                {section.labels && ORDER_INFO_FIELDS.map(([field, placeholder]) => (
+                  <input
+                    key={field}
+                    type="text"
+                    value={section.labels[field]}
+                    placeholder={placeholder}
+                    onChange={e => update(index, 'labels', { ...section.labels, [field]: e.target.value })}
+                    className="p-1 border border-gray-300 rounded-md"
+                  />
+                ))}
+                {section.align !== undefined && (
+                  <select value={section.align} onChange={e => update(index, 'align', e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                    <option value="left">Left</option>
+                    <option value="center">Center</option>
+                    <option value="right">Right</option>
+                  </select>
+                )}
+                {section.size !== undefined && (
+                  <select value={section.size} onChange={e => update(index, 'size', e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                    <option value="normal">Normal size</option>
+                    <option value="double">Double size</option>
+                  </select>
+                )}
+                {section.bold !== undefined && (
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={section.bold}
+                      onChange={e => update(index, 'bold', e.target.checked)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Bold
+                  </label>
+                )}
+                {section.columns && (
+                  <ItemColumnsControls
+                    columns={section.columns}
+                    rowLayout={section.rowLayout}
+                    lineWidth={getPrinterProfile(settings).charsPerLine}
+                    onColumnsChange={columns => update(index, 'columns', columns)}
+                    onRowLayoutChange={rowLayout => update(index, 'rowLayout', rowLayout)}
+                  />
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hasOwnTemplate && (
+        <button onClick={resetLayout} className="mt-2 w-full bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm font-semibold py-1 px-3 rounded-lg transition-colors">
+          {voucherType === 'default' ? 'Restore built-in layout' : 'Use default layout'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+// 📁 File: src/codePages.js
+
+// Upper halves (bytes 0x80-0xFF) of the single-byte code pages; the lower half is ASCII
+const PC437_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+const PC850_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+const PC858_HIGH = PC850_HIGH.replace('ı', '€'); // PC850 with the euro sign at 0xD5
+const WPC1252_HIGH = new TextDecoder('windows-1252').decode(Uint8Array.from({ length: 128 }, (_, i) => 0x80 + i));
+
+/**
+ * Code pages selectable with ESC t n. Which ones a printer has (and their
+ * numbers) varies by model, so each printer profile names a default and the
+ * user can pick another per profile.
+ * - escT: the n sent with ESC t
+ * - high: the characters for bytes 0x80-0xFF
+ */
+export const CODE_PAGES = {
+  pc437: { label: 'PC437 (USA, standard Europe)', escT: 0, high: PC437_HIGH },
+  pc850: { label: 'PC850 (Multilingual Latin)', escT: 2, high: PC850_HIGH },
+  pc858: { label: 'PC858 (Latin with euro sign)', escT: 19, high: PC858_HIGH },
+  wpc1252: { label: 'WPC1252 (Windows Latin)', escT: 16, high: WPC1252_HIGH },
+};
+
+export const DEFAULT_CODE_PAGE = 'pc437';
+
+/**
+ * Encodes text in a code page.
+ * @param {string} text
+ * @param {string} codePageId A key of CODE_PAGES.
+ * @returns {Uint8Array|null} The bytes, or null if a character is not in the code page.
+ */
+export function encodeForCodePage(text, codePageId) {
+  const { high } = CODE_PAGES[codePageId] || CODE_PAGES[DEFAULT_CODE_PAGE];
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 0x20 && code < 0x7F) {
+      bytes[i] = code;
+    } else {
+      const index = high.indexOf(text[i]);
+      if (index === -1) return null;
+      bytes[i] = 0x80 + index;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Whether every character of the text is in at least one of the code pages.
+ * Indian scripts (Devanagari, Gujarati, Tamil...) are in none of them, so
+ * text in those scripts can only be printed as an image.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasCodePageFor(text) {
+  return [...text].every(char => Object.keys(CODE_PAGES).some(id => encodeForCodePage(char, id)));
+}
+
+/**
+ * Maps a byte to the character a printer prints for it under an ESC t code page.
+ * Unknown code page numbers are shown as PC437, the power-on default.
+ * @param {number} byte
+ * @param {number} escT The ESC t code page number.
+ * @returns {string}
+ */
+export function decodeCodePageByte(byte, escT) {
+  if (byte < 0x80) return String.fromCharCode(byte);
+  const codePage = Object.values(CODE_PAGES).find(page => page.escT === escT) || CODE_PAGES[DEFAULT_CODE_PAGE];
+  return codePage.high[byte - 0x80];
+}
@@ -0,0 +1,35 @@
+// 📁 File: src/defaultSettings.js
+
+/**
+ * Print settings before the user changes anything. Saved settings are laid
+ * over these, so keys added since they were saved take their defaults; the
+ * Controls reset goes back to exactly these.
+ */
+export const DEFAULT_SETTINGS = {
+  fontFamily: 'monospace',
+  fontSize: 12,
+  lineHeight: 1.4,
+  logoUrl: '',
+  logoSource: 'url',
+  logoDither: 'threshold',
+  logoThreshold: 128,
+  lineSeparator: '-',
+  printerProfile: '80mm',
+  printerFont: 'A',
+  codePages: {},
+  dialects: {},
+  jobActions: {},
+  textRendering: 'auto',
+  rasterFontFamily: '',
+  amountInWordsLanguage: 'en',
+  receiptTemplates: {},
+  reconcileTolerance: 0.01,
+  blockMismatchedPrints: false,
+  upiId: '',
+  nativeQr: true,
+  copies: [],
+  zoom: 1.0,
+  sectionStyles: {
+    orderInfo: { labelBold: false, valueBold: true }
+  },
+};
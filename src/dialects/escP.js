@@ -0,0 +1,103 @@
+// 📁 File: src/dialects/escP.js
+
+const ESC = 0x1B;
+const LF = 0x0A;
+const CR = 0x0D;
+const FF = 0x0C;
+const BEL = 0x07;
+const SI = 0x0F; // Condensed on
+const DC2 = 0x12; // Condensed off
+const SPACE = 0x20;
+
+const BAND_HEIGHT = 8; // ESC * 5 prints 8 dots per column
+
+/**
+ * Epson ESC/P for 9-pin dot-matrix printers on continuous stationery.
+ * These printers have no alignment, QR or barcode commands: lines are
+ * aligned with spaces and codes go out as bit images. Font B is the
+ * condensed pitch. See dialects/index.js for what each method returns.
+ */
+export default {
+  id: 'escp',
+  label: 'ESC/P (9-pin dot matrix)',
+  codePages: { pc437: 1 }, // ESC t 1: the graphics character table
+
+  begin(profile, codePage) {
+    return [
+      ESC, 0x40, // ESC @: initialize printer
+      ESC, 0x74, codePage, // ESC t n: select the character table
+      profile.font === 'B' ? SI : DC2, // Condensed or normal pitch
+    ];
+  },
+
+  text(line, segments, profile) {
+    const double = line.size === 'double';
+    const columns = Math.floor(profile.charsPerLine / (double ? 2 : 1));
+    const used = segments.reduce((sum, segment) => sum + segment.bytes.length, 0);
+    const spare = Math.max(0, columns - used);
+    // Blank lines need no indent
+    const indent = used === 0 ? 0 : line.align === 'center' ? Math.floor(spare / 2) : line.align === 'right' ? spare : 0;
+
+    const bytes = [];
+    if (double) bytes.push(ESC, 0x57, 0x01); // ESC W 1: double width
+    bytes.push(...new Array(indent).fill(SPACE));
+    segments.forEach(segment => {
+      bytes.push(ESC, segment.bold ? 0x45 : 0x46, ...segment.bytes); // ESC E / ESC F: bold on and off
+    });
+    if (double) bytes.push(ESC, 0x57, 0x00);
+    bytes.push(CR, LF);
+    return bytes;
+  },
+
+  image(width, height, isDark, align, profile) {
+    const spare = Math.max(0, profile.dotsPerLine - width);
+    const offset = align === 'center' ? Math.floor(spare / 2) : align === 'right' ? spare : 0;
+    const columns = offset + width;
+    const bands = Math.ceil(height / BAND_HEIGHT);
+
+    // Each band: ESC * 5 nL nH, then one byte per column with the top dot in
+    // the most significant bit, then CR LF. Blank columns make the offset.
+    const bandLength = 5 + columns + 2;
+    const bytes = new Uint8Array(3 + bands * bandLength + 2);
+    bytes.set([ESC, 0x33, 24]); // ESC 3 24: line spacing of 8 dots at 72 DPI (24/216 inch)
+    for (let band = 0; band < bands; band++) {
+      const start = 3 + band * bandLength;
+      bytes.set([ESC, 0x2A, 0x05, columns & 0xFF, (columns >> 8) & 0xFF], start);
+      for (let x = 0; x < width; x++) {
+        let column = 0;
+        for (let bit = 0; bit < BAND_HEIGHT; bit++) {
+          const y = band * BAND_HEIGHT + bit;
+          if (y < height && isDark(x, y)) column |= 0x80 >> bit;
+        }
+        bytes[start + 5 + offset + x] = column;
+      }
+      bytes.set([CR, LF], start + 5 + columns);
+    }
+    bytes.set([ESC, 0x32], bytes.length - 2); // ESC 2: back to 1/6 inch line spacing
+    return bytes;
+  },
+
+  qr() {
+    return null;
+  },
+
+  barcode() {
+    return null;
+  },
+
+  feed(lines) {
+    return new Array(lines).fill(LF);
+  },
+
+  cut() {
+    return [FF]; // No cutter: advance to the top of the next form
+  },
+
+  drawer() {
+    return []; // Dot-matrix printers have no drawer port
+  },
+
+  beep(line) {
+    return new Array(line.count).fill(BEL); // Fixed-length beeps
+  },
+};
@@ -0,0 +1,121 @@
+// 📁 File: src/dialects/escPos.js
+
+import { CODE_PAGES } from '../codePages';
+import { packRows } from '../utils/bitmap';
+import { escPosCode128Data } from '../utils/barcodes';
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+const ALIGNMENT = { left: 0x00, center: 0x01, right: 0x02 };
+
+/**
+ * Sets text alignment (ESC a n).
+ * @param {'left'|'center'|'right'} align
+ * @returns {number[]}
+ */
+function setAlignment(align) {
+  return [ESC, 0x61, ALIGNMENT[align] || 0x00];
+}
+
+/**
+ * Selects the font and size (ESC ! n). n combines font A/B (bit 0) with
+ * double height (0x10) and double width (0x20).
+ * @param {'A'|'B'} font
+ * @param {boolean} double
+ * @returns {number[]}
+ */
+function selectPrintMode(font, double) {
+  return [ESC, 0x21, (font === 'B' ? 0x01 : 0x00) | (double ? 0x30 : 0x00)];
+}
+
+/**
+ * Epson ESC/POS, spoken by most thermal receipt printers.
+ * See dialects/index.js for what each method returns.
+ */
+export default {
+  id: 'escpos',
+  label: 'ESC/POS (Epson and compatibles)',
+  codePages: Object.fromEntries(Object.entries(CODE_PAGES).map(([id, codePage]) => [id, codePage.escT])),
+
+  begin(profile, codePage) {
+    return [
+      ESC, 0x40, // ESC @: initialize printer (clears settings)
+      ESC, 0x74, codePage, // ESC t n: select the code page
+      ...selectPrintMode(profile.font, false),
+    ];
+  },
+
+  text(line, segments, profile) {
+    const bytes = [...setAlignment(line.align), ...selectPrintMode(profile.font, line.size === 'double')];
+    segments.forEach(segment => {
+      bytes.push(ESC, 0x45, segment.bold ? 0x01 : 0x00, ...segment.bytes); // ESC E n: bold
+    });
+    bytes.push(LF);
+    return bytes;
+  },
+
+  image(width, height, isDark, align) {
+    // GS v 0 m xL xH yL yH d1...dk
+    // m = 0 (normal 8-dot single density)
+    // xL, xH = width in bytes (xL + xH*256)
+    // yL, yH = height in dots (yL + yH*256)
+    // d1...dk = bitmap data, 1 bit per dot, MSB first
+    const { bytesPerRow, data } = packRows(width, height, isDark);
+    const header = [
+      ...setAlignment(align),
+      GS, 0x76, 0x30, 0x00,
+      bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF,
+      height & 0xFF, (height >> 8) & 0xFF,
+    ];
+    const bytes = new Uint8Array(header.length + data.length);
+    bytes.set(header);
+    bytes.set(data, header.length);
+    return bytes;
+  },
+
+  qr(line) {
+    const data = new TextEncoder().encode(line.data);
+    const storeLength = data.length + 3;
+    return [
+      ...setAlignment(line.align),
+      GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00, // Model 2
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, line.moduleSize, // Module size in dots
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, 0x31, // Error correction level M
+      GS, 0x28, 0x6B, storeLength & 0xFF, (storeLength >> 8) & 0xFF, 0x31, 0x50, 0x30, ...data, // Store the data
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30, // Print the symbol
+    ];
+  },
+
+  barcode(line) {
+    // GS w takes 2-6 dots (most printers ignore 1); thinner barcodes go as images
+    if (line.moduleWidth < 2) return null;
+    const data = new TextEncoder().encode(escPosCode128Data(line.data));
+    return [
+      ...setAlignment(line.align),
+      GS, 0x68, line.height, // GS h: height in dots
+      GS, 0x77, line.moduleWidth, // GS w: module width in dots
+      GS, 0x48, 0x02, // GS H: human readable text below
+      GS, 0x6B, 0x49, data.length, ...data, // GS k m=73 (CODE128)
+    ];
+  },
+
+  feed(lines) {
+    return new Array(lines).fill(LF);
+  },
+
+  cut(partial) {
+    return [GS, 0x56, partial ? 0x01 : 0x00]; // Full or partial cut (GS V m)
+  },
+
+  drawer(line) {
+    // ESC p m t1 t2: m = 0 for pin 2, 1 for pin 5; times in 2 ms units
+    return [ESC, 0x70, line.pin === 5 ? 0x01 : 0x00, Math.min(255, Math.round(line.onMs / 2)), Math.min(255, Math.round(line.offMs / 2))];
+  },
+
+  beep(line) {
+    // ESC B n t: n beeps of t x 50 ms (the buzzer command of most ESC/POS clones)
+    return [ESC, 0x42, line.count, Math.min(9, Math.max(1, Math.round(line.durationMs / 50)))];
+  },
+};
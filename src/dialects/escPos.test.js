@@ -0,0 +1,23 @@
+// src/dialects/escPos.test.js
+
+import { describe, it, expect } from 'vitest';
+import escPos from './escPos';
+
+describe('escPos.barcode', () => {
+  const line = { data: 'INV{7', widths: [], height: 80, align: 'center' };
+
+  it('sends CODE128 with the module width and { escaped', () => {
+    const data = [...new TextEncoder().encode('{BINV{{7')];
+    expect(escPos.barcode({ ...line, moduleWidth: 2 })).toEqual([
+      0x1B, 0x61, 0x01, // ESC a: centred
+      0x1D, 0x68, 80, // GS h
+      0x1D, 0x77, 2, // GS w
+      0x1D, 0x48, 0x02, // GS H
+      0x1D, 0x6B, 0x49, data.length, ...data, // GS k
+    ]);
+  });
+
+  it('leaves barcodes narrower than GS w allows to the image path', () => {
+    expect(escPos.barcode({ ...line, moduleWidth: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+// 📁 File: src/dialects/index.js
+
+import escPos from './escPos';
+import starLine from './starLine';
+import escP from './escP';
+
+/**
+ * Printer command sets. The receipt layout is device independent; a dialect
+ * turns each of its lines into the bytes one family of printers understands:
+ * - codePages: code page id (see codePages.js) → the dialect's own number for it
+ * - begin(profile, codePage): job start (reset, code page, font)
+ * - text(line, segments, profile): one text line; segments are { bytes, bold }
+ * - image(width, height, isDark, align, profile): a bit image
+ * - qr(line) / barcode(line): the printer's own symbol, or null when it has
+ *   none and the symbol should be sent as an image
+ * - feed(lines), cut(partial): paper feed and the end of the receipt
+ * - drawer(line), beep(line): the 'drawer' and 'beep' layout lines
+ * Every method returns an array of bytes or a Uint8Array.
+ */
+export const DIALECTS = {
+  [escPos.id]: escPos,
+  [starLine.id]: starLine,
+  [escP.id]: escP,
+};
+
+export const DEFAULT_DIALECT = escPos.id;
+
+/**
+ * Looks up a dialect, falling back to ESC/POS for unknown ids.
+ * @param {string} id
+ * @returns {object}
+ */
+export function getDialect(id) {
+  return DIALECTS[id] || DIALECTS[DEFAULT_DIALECT];
+}
@@ -0,0 +1,110 @@
+// 📁 File: src/dialects/starLine.js
+
+import { packRows } from '../utils/bitmap';
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const RS = 0x1E;
+const LF = 0x0A;
+
+const ALIGNMENT = { left: 0x00, center: 0x01, right: 0x02 };
+
+/**
+ * Sets text alignment (ESC GS a n).
+ * @param {'left'|'center'|'right'} align
+ * @returns {number[]}
+ */
+function setAlignment(align) {
+  return [ESC, GS, 0x61, ALIGNMENT[align] || 0x00];
+}
+
+/**
+ * Star Line mode, the native command set of Star TSP and mC-Print printers.
+ * See dialects/index.js for what each method returns.
+ */
+export default {
+  id: 'star',
+  label: 'Star Line mode',
+  // ESC GS t n. Star has no PC850 table; PC858 is PC850 with the euro sign.
+  codePages: { pc437: 1, pc850: 4, pc858: 4, wpc1252: 32 },
+
+  begin(profile, codePage) {
+    return [
+      ESC, 0x40, // ESC @: initialize printer
+      ESC, GS, 0x74, codePage, // ESC GS t n: select the code page
+      ESC, RS, 0x46, profile.font === 'B' ? 0x01 : 0x00, // ESC RS F n: font A or B
+    ];
+  },
+
+  text(line, segments) {
+    const scale = line.size === 'double' ? 0x01 : 0x00;
+    const bytes = [...setAlignment(line.align), ESC, 0x69, scale, scale]; // ESC i n1 n2: height and width
+    segments.forEach(segment => {
+      bytes.push(ESC, segment.bold ? 0x45 : 0x46, ...segment.bytes); // ESC E / ESC F: bold on and off
+    });
+    bytes.push(LF);
+    return bytes;
+  },
+
+  image(width, height, isDark, align) {
+    // ESC GS S m xL xH yL yH n d1...dk
+    // m = 1, n = 0 (normal); x in bytes, y in dots, rows MSB first
+    const { bytesPerRow, data } = packRows(width, height, isDark);
+    const header = [
+      ...setAlignment(align),
+      ESC, GS, 0x53, 0x01,
+      bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF,
+      height & 0xFF, (height >> 8) & 0xFF,
+      0x00,
+    ];
+    const bytes = new Uint8Array(header.length + data.length);
+    bytes.set(header);
+    bytes.set(data, header.length);
+    return bytes;
+  },
+
+  qr(line) {
+    const data = new TextEncoder().encode(line.data);
+    return [
+      ...setAlignment(line.align),
+      ESC, GS, 0x79, 0x53, 0x30, 0x02, // Model 2
+      ESC, GS, 0x79, 0x53, 0x31, 0x01, // Error correction level M
+      ESC, GS, 0x79, 0x53, 0x32, line.moduleSize, // Cell size in dots
+      ESC, GS, 0x79, 0x44, 0x31, 0x00, data.length & 0xFF, (data.length >> 8) & 0xFF, ...data, // Store the data
+      ESC, GS, 0x79, 0x50, // Print the symbol
+    ];
+  },
+
+  barcode(line) {
+    // The narrowest Code 128 module is 2 dots; thinner barcodes go as images
+    if (line.moduleWidth < 2) return null;
+    const data = new TextEncoder().encode(line.data);
+    return [
+      ...setAlignment(line.align),
+      // ESC b n1 n2 n3 n4 d1...dk RS
+      // n1 = 6 (Code 128), n2 = 2 (text below, then line feed),
+      // n3 = module width mode (1 = 2 dots), n4 = height in dots
+      ESC, 0x62, 0x06, 0x02, line.moduleWidth - 1, line.height, ...data, RS,
+    ];
+  },
+
+  feed(lines) {
+    return new Array(lines).fill(LF);
+  },
+
+  cut(partial) {
+    return [ESC, 0x64, partial ? 0x01 : 0x00]; // Full or partial cut at the current position (ESC d n)
+  },
+
+  drawer(line) {
+    if (line.pin === 5) return [0x1A]; // SUB: drive peripheral 2 (fixed pulse)
+    // ESC BEL n1 n2: peripheral 1 pulse on and off time in 10 ms units, then BEL to drive it
+    return [ESC, 0x07, Math.min(255, Math.round(line.onMs / 10)), Math.min(255, Math.round(line.offMs / 10)), 0x07];
+  },
+
+  beep(line) {
+    // ESC GS BEL m t1 t2: ring buzzer 1, on and off time in 20 ms units
+    const time = Math.min(255, Math.round(line.durationMs / 20));
+    return new Array(line.count).fill([ESC, GS, 0x07, 0x01, time, time]).flat();
+  },
+};
@@ -0,0 +1,17 @@
+// src/dialects/starLine.test.js
+
+import { describe, it, expect } from 'vitest';
+import starLine from './starLine';
+
+describe('starLine', () => {
+  it('cuts with ESC d n, full or partial', () => {
+    expect(starLine.cut(false)).toEqual([0x1B, 0x64, 0x00]);
+    expect(starLine.cut(true)).toEqual([0x1B, 0x64, 0x01]);
+  });
+
+  it('leaves barcodes narrower than 2 dots to the image path', () => {
+    const line = { data: 'INV7', widths: [], height: 80, align: 'left' };
+    expect(starLine.barcode({ ...line, moduleWidth: 1 })).toBeNull();
+    expect(starLine.barcode({ ...line, moduleWidth: 2 })).not.toBeNull();
+  });
+});
@@ -0,0 +1,267 @@
+// 📁 File: src/escPosInterpreter.js
+
+import { qrModules, code128Widths, escPosCode128Text } from './utils/barcodes';
+import { decodeCodePageByte } from './codePages';
+import { FONT_HEIGHTS } from './printerProfiles';
+import { packRows } from './utils/bitmap';
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+const QR_ERROR_CORRECTION = { 48: 'L', 49: 'M', 50: 'Q', 51: 'H' };
+
+/**
+ * Interprets an ESC/POS command stream the way a thermal printer would and
+ * returns what ends up on paper, in printer dots. Understands ESC @, ESC a,
+ * ESC E, ESC !, ESC t, GS v 0 rasters, GS ( k QR codes, GS k CODE128
+ * barcodes (with GS h, GS w and GS H), LF, GS V cuts and the ESC p drawer
+ * and ESC B buzzer pulses; other commands are skipped and listed in `unknown`. Text wider than the paper wraps onto the
+ * next line, as it does on the printer.
+ * @param {Uint8Array} bytes The commands from generateEscPosCommands.
+ * @param {object} profile The printer profile (see printerProfiles.js).
+ * @returns {{ width: number, height: number, items: Array<object>, unknown: string[] }}
+ *   Paper width and height in dots, and the printed items: text glyphs
+ *   ({ type: 'glyph', char, x, y, width, height, bold }), rasters
+ *   ({ type: 'raster', x, y, width, height, bits }), cuts ({ type: 'cut', y })
+ *   and drawer or buzzer pulses ({ type: 'pulse', y, label }).
+ */
+export function interpretEscPos(bytes, profile) {
+  const width = profile.dotsPerLine;
+  const fonts = {
+    A: { width: Math.floor(width / profile.fontACharsPerLine), height: FONT_HEIGHTS.A },
+    B: { width: Math.floor(width / profile.fontBCharsPerLine), height: FONT_HEIGHTS.B },
+  };
+  const lineSpacing = Math.round(profile.dpi / 6); // Default 1/6 inch line spacing
+
+  const items = [];
+  const unknown = [];
+  let y = 0;
+  let state;
+  let line = []; // Glyphs waiting for the next line feed
+
+  const reset = () => {
+    state = {
+      align: 'left', bold: false, font: 'A', doubleWidth: false, doubleHeight: false, codePage: 0,
+      qrModuleSize: 3, qrErrorCorrection: 'L', qrData: '',
+      barcodeHeight: 162, barcodeModuleWidth: 3, barcodeHri: 0,
+    };
+  };
+  reset();
+
+  const lineWidth = () => line.reduce((sum, glyph) => sum + glyph.width, 0);
+
+  // Prints the buffered glyphs, aligned, and moves down one line
+  const feedLine = () => {
+    const used = lineWidth();
+    const offset = state.align === 'center' ? Math.floor((width - used) / 2) : state.align === 'right' ? width - used : 0;
+    const height = Math.max(lineSpacing, ...line.map(glyph => glyph.height));
+    let x = offset;
+    line.forEach(glyph => {
+      items.push({ type: 'glyph', ...glyph, x, y: y + height - glyph.height });
+      x += glyph.width;
+    });
+    y += height;
+    line = [];
+  };
+
+  const addGlyph = (char) => {
+    const font = fonts[state.font];
+    const glyph = {
+      char,
+      bold: state.bold,
+      width: font.width * (state.doubleWidth ? 2 : 1),
+      height: font.height * (state.doubleHeight ? 2 : 1),
+    };
+    if (lineWidth() + glyph.width > width) feedLine(); // Printer wraps at the paper edge
+    line.push(glyph);
+  };
+
+  // Places a raster at the current alignment below the text printed so far
+  const addRaster = (rasterWidth, rows, bits) => {
+    if (line.length > 0) feedLine();
+    const x = state.align === 'center' ? Math.floor((width - rasterWidth) / 2) : state.align === 'right' ? width - rasterWidth : 0;
+    items.push({ type: 'raster', x, y, width: rasterWidth, height: rows, bits });
+    y += rows;
+  };
+
+  // Packs a dot pattern into raster bits, eight dots per byte
+  const addDots = (dotsWide, rows, isDark) => {
+    const { bytesPerRow, data } = packRows(dotsWide, rows, isDark);
+    addRaster(bytesPerRow * 8, rows, data);
+  };
+
+  const printQr = () => {
+    if (!state.qrData) return;
+    const modules = qrModules(state.qrData, state.qrErrorCorrection);
+    const size = state.qrModuleSize;
+    addDots(modules.length * size, modules.length * size, (col, row) => modules[Math.floor(row / size)][Math.floor(col / size)]);
+  };
+
+  const printCode128 = (data) => {
+    // Only code set B is drawn; selectors and escapes are taken out of the text
+    const text = escPosCode128Text(data);
+    const bars = [];
+    code128Widths(text).forEach((modules, index) => {
+      for (let k = 0; k < modules * state.barcodeModuleWidth; k++) bars.push(index % 2 === 0);
+    });
+    const printHri = () => {
+      text.split('').forEach(addGlyph);
+      feedLine();
+    };
+    if (state.barcodeHri & 1) printHri(); // Above
+    addDots(bars.length, state.barcodeHeight, col => bars[col]);
+    if (state.barcodeHri & 2) printHri(); // Below
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    if (byte === LF) {
+      feedLine();
+      i += 1;
+    } else if (byte === ESC) {
+      const command = bytes[i + 1];
+      const n = bytes[i + 2];
+      if (command === 0x40) { // ESC @
+        reset();
+        i += 2;
+      } else if (command === 0x61) { // ESC a n
+        state.align = ['left', 'center', 'right'][n % 48] || 'left';
+        i += 3;
+      } else if (command === 0x45) { // ESC E n
+        state.bold = (n & 0x01) === 1;
+        i += 3;
+      } else if (command === 0x21) { // ESC ! n
+        state.font = n & 0x01 ? 'B' : 'A';
+        state.bold = (n & 0x08) !== 0;
+        state.doubleHeight = (n & 0x10) !== 0;
+        state.doubleWidth = (n & 0x20) !== 0;
+        i += 3;
+      } else if (command === 0x74) { // ESC t n
+        state.codePage = n;
+        i += 3;
+      } else if (command === 0x70) { // ESC p m t1 t2
+        if (line.length > 0) feedLine();
+        items.push({ type: 'pulse', y, label: `Cash drawer, pin ${n % 48 === 1 ? 5 : 2}` });
+        i += 5;
+      } else if (command === 0x42) { // ESC B n t
+        if (line.length > 0) feedLine();
+        items.push({ type: 'pulse', y, label: `Beep x${n}` });
+        i += 4;
+      } else {
+        unknown.push(`ESC 0x${(command ?? 0).toString(16)}`);
+        i += 2;
+      }
+    } else if (byte === GS) {
+      const command = bytes[i + 1];
+      if (command === 0x76 && bytes[i + 2] === 0x30) { // GS v 0 m xL xH yL yH d1...dk
+        const bytesPerRow = bytes[i + 4] + bytes[i + 5] * 256;
+        const rows = bytes[i + 6] + bytes[i + 7] * 256;
+        const start = i + 8;
+        addRaster(bytesPerRow * 8, rows, bytes.subarray(start, start + bytesPerRow * rows));
+        i = start + bytesPerRow * rows;
+      } else if (command === 0x28 && bytes[i + 2] === 0x6B) { // GS ( k pL pH cn fn [parameters]
+        const length = bytes[i + 3] + bytes[i + 4] * 256;
+        const start = i + 5;
+        const [cn, fn] = [bytes[start], bytes[start + 1]];
+        if (cn !== 0x31) {
+          unknown.push(`GS ( k cn=${cn}`);
+        } else if (fn === 0x43) { // Module size
+          state.qrModuleSize = bytes[start + 2];
+        } else if (fn === 0x45) { // Error correction level
+          state.qrErrorCorrection = QR_ERROR_CORRECTION[bytes[start + 2]] || 'L';
+        } else if (fn === 0x50) { // Store the data
+          state.qrData = new TextDecoder().decode(bytes.subarray(start + 3, start + length));
+        } else if (fn === 0x51) { // Print the stored symbol
+          printQr();
+        }
+        i = start + length;
+      } else if (command === 0x68) { // GS h n
+        state.barcodeHeight = bytes[i + 2];
+        i += 3;
+      } else if (command === 0x77) { // GS w n
+        state.barcodeModuleWidth = bytes[i + 2];
+        i += 3;
+      } else if (command === 0x48) { // GS H n
+        state.barcodeHri = bytes[i + 2] % 48;
+        i += 3;
+      } else if (command === 0x6B && bytes[i + 2] === 0x49) { // GS k 73 n d1...dn
+        const length = bytes[i + 3];
+        printCode128(String.fromCharCode(...bytes.subarray(i + 4, i + 4 + length)));
+        i += 4 + length;
+      } else if (command === 0x56) { // GS V m [n]
+        const m = bytes[i + 2];
+        if (line.length > 0) feedLine();
+        items.push({ type: 'cut', y, partial: m === 1 || m === 49 || m === 66 });
+        i += m === 65 || m === 66 ? 4 : 3;
+      } else {
+        unknown.push(`GS 0x${(command ?? 0).toString(16)}`);
+        i += 2;
+      }
+    } else if (byte >= 0x20) {
+      addGlyph(decodeCodePageByte(byte, state.codePage));
+      i += 1;
+    } else {
+      i += 1; // Other control characters print nothing
+    }
+  }
+  if (line.length > 0) feedLine();
+
+  return { width, height: y, items, unknown: [...new Set(unknown)] };
+}
+
+/**
+ * Draws an interpreted job onto a canvas, one canvas pixel per printer dot.
+ * @param {HTMLCanvasElement} canvas
+ * @param {ReturnType<typeof interpretEscPos>} page The result of interpretEscPos.
+ */
+export function drawEscPos(canvas, page) {
+  canvas.width = page.width;
+  canvas.height = Math.max(page.height, 1);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'top';
+
+  page.items.forEach(item => {
+    if (item.type === 'glyph') {
+      if (item.char === ' ') return;
+      // Stretch a monospace glyph to fill its printer cell
+      ctx.save();
+      ctx.font = `${item.bold ? 'bold ' : ''}${item.height}px monospace`;
+      const measured = ctx.measureText(item.char).width || item.width;
+      ctx.translate(item.x, item.y);
+      ctx.scale(item.width / measured, 1);
+      ctx.fillText(item.char, 0, 0);
+      ctx.restore();
+    } else if (item.type === 'raster') {
+      const bytesPerRow = item.width / 8;
+      for (let row = 0; row < item.height; row++) {
+        for (let col = 0; col < item.width; col++) {
+          const byte = item.bits[row * bytesPerRow + (col >> 3)];
+          if (byte & (0x80 >> (col & 7))) ctx.fillRect(item.x + col, item.y + row, 1, 1);
+        }
+      }
+    } else if (item.type === 'cut') {
+      ctx.save();
+      ctx.strokeStyle = '#999';
+      ctx.setLineDash(item.partial ? [2, 6] : [8, 4]);
+      ctx.beginPath();
+      ctx.moveTo(0, item.y + 0.5);
+      ctx.lineTo(canvas.width, item.y + 0.5);
+      ctx.stroke();
+      ctx.restore();
+    } else if (item.type === 'pulse') {
+      // Not printed; noted in grey at the right edge
+      ctx.save();
+      ctx.fillStyle = '#999';
+      ctx.font = '16px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(item.label, canvas.width - 4, item.y - 2);
+      ctx.restore();
+    }
+  });
+}
@@ -0,0 +1,66 @@
+// src/escPosInterpreter.test.js
+
+import { describe, it, expect } from 'vitest';
+import { interpretEscPos } from './escPosInterpreter';
+import { getPrinterProfile } from './printerProfiles';
+import { qrModules, code128Widths } from './utils/barcodes';
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+const profile = getPrinterProfile({ printerProfile: '80mm' });
+
+const ascii = text => [...new TextEncoder().encode(text)];
+const interpret = bytes => interpretEscPos(new Uint8Array(bytes), profile);
+const printedText = items => items.filter(item => item.type === 'glyph').map(item => item.char).join('');
+
+describe('interpretEscPos', () => {
+  it('cuts with GS V in its 3- and 4-byte forms', () => {
+    const { items, unknown } = interpret([
+      ...ascii('a'), GS, 0x56, 0x00,
+      ...ascii('b'), GS, 0x56, 0x01,
+      // m = 65/66 carry a feed count n, here "X", which must not print
+      ...ascii('c'), GS, 0x56, 65, 0x58,
+      ...ascii('d'), GS, 0x56, 66, 0x58,
+    ]);
+    expect(printedText(items)).toBe('abcd');
+    expect(items.filter(item => item.type === 'cut').map(item => item.partial)).toEqual([false, true, false, true]);
+    expect(unknown).toEqual([]);
+  });
+
+  it('prints a stored QR code at its module size', () => {
+    const data = ascii('upi://pay?pa=shop@bank');
+    const storeLength = data.length + 3;
+    const { items, unknown } = interpret([
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, 4, // Module size 4
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, 0x31, // Level M
+      GS, 0x28, 0x6B, storeLength, 0x00, 0x31, 0x50, 0x30, ...data,
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30,
+    ]);
+    const size = qrModules('upi://pay?pa=shop@bank', 'M').length * 4;
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ type: 'raster', height: size, width: Math.ceil(size / 8) * 8 });
+    expect(unknown).toEqual([]);
+  });
+
+  it('prints GS k 73 barcodes with the text below and { unescaped', () => {
+    const data = ascii('{BAB{{C');
+    const { items } = interpret([
+      GS, 0x68, 50, GS, 0x77, 2, GS, 0x48, 0x02,
+      GS, 0x6B, 0x49, data.length, ...data,
+    ]);
+    const modules = code128Widths('AB{C').reduce((sum, width) => sum + width, 0);
+    expect(items[0]).toMatchObject({ type: 'raster', height: 50, width: Math.ceil((modules * 2) / 8) * 8 });
+    expect(printedText(items)).toBe('AB{C');
+  });
+
+  it('skips and lists commands it does not know', () => {
+    const { items, unknown } = interpret([
+      ESC, 0x99, GS, 0x99, GS, 0x99,
+      GS, 0x28, 0x6B, 0x03, 0x00, 0x30, 0x41, 0x00, // PDF417 (cn 48)
+      ...ascii('ok'), LF,
+    ]);
+    expect(unknown).toEqual(['ESC 0x99', 'GS 0x99', 'GS ( k cn=48']);
+    expect(printedText(items)).toBe('ok');
+  });
+});
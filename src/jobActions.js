@@ -0,0 +1,76 @@
+// 📁 File: src/jobActions.js
+
+import { getPrinterProfile } from './printerProfiles';
+
+/**
+ * What the printer does after a receipt, saved per printer profile and, within
+ * a profile, per voucher type (heading) with a `default` for the others:
+ * - feedLines: blank lines fed before the cut, so the last line clears the cutter
+ * - cut: 'full' | 'partial' | 'none' (dot-matrix printers form feed instead)
+ * - cutAfter: 'copy' cuts after every copy, 'batch' once after the whole batch
+ * - drawer: kick the cash drawer once per voucher, after its last copy
+ * - drawerPin: 2 or 5, the drawer connector pin to pulse
+ * - drawerOnMs / drawerOffMs: pulse on and off time
+ * - beep: sound the buzzer once per voucher, after its last copy
+ * - beepCount / beepMs: number of beeps and length of each
+ */
+export const DEFAULT_JOB_ACTIONS = {
+  feedLines: 5,
+  cut: 'full',
+  cutAfter: 'copy',
+  drawer: false,
+  drawerPin: 2,
+  drawerOnMs: 100,
+  drawerOffMs: 200,
+  beep: false,
+  beepCount: 1,
+  beepMs: 100,
+};
+
+/**
+ * Clamps a number setting to a range, using the default when it is not a number.
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clampNumber(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Fills in saved end-of-job actions: missing fields take their defaults and
+ * numbers are kept within what the printers accept.
+ * @param {object} [actions]
+ * @returns {object} Every field of DEFAULT_JOB_ACTIONS.
+ */
+export function normalizeJobActions(actions = {}) {
+  const merged = { ...DEFAULT_JOB_ACTIONS, ...actions };
+  return {
+    feedLines: clampNumber(merged.feedLines, 0, 20, DEFAULT_JOB_ACTIONS.feedLines),
+    cut: ['full', 'partial', 'none'].includes(merged.cut) ? merged.cut : DEFAULT_JOB_ACTIONS.cut,
+    cutAfter: merged.cutAfter === 'batch' ? 'batch' : 'copy',
+    drawer: Boolean(merged.drawer),
+    drawerPin: Number(merged.drawerPin) === 5 ? 5 : 2,
+    drawerOnMs: clampNumber(merged.drawerOnMs, 10, 500, DEFAULT_JOB_ACTIONS.drawerOnMs),
+    drawerOffMs: clampNumber(merged.drawerOffMs, 10, 500, DEFAULT_JOB_ACTIONS.drawerOffMs),
+    beep: Boolean(merged.beep),
+    beepCount: clampNumber(merged.beepCount, 1, 9, DEFAULT_JOB_ACTIONS.beepCount),
+    beepMs: clampNumber(merged.beepMs, 50, 450, DEFAULT_JOB_ACTIONS.beepMs),
+  };
+}
+
+/**
+ * Picks the end-of-job actions for a voucher on the selected printer profile:
+ * its voucher type's own actions when saved, otherwise the profile's default.
+ * @param {object} settings User print settings (`jobActions`, `printerProfile`).
+ * @param {object} [voucher] The parsed voucher; omitted for the profile's default.
+ * @returns {object} The normalized actions.
+ */
+export function getJobActions(settings, voucher) {
+  const { id } = getPrinterProfile(settings);
+  const saved = (settings.jobActions || {})[id] || {};
+  return normalizeJobActions((voucher && saved[voucher.heading]) || saved.default);
+}
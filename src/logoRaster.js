@@ -0,0 +1,119 @@
+// 📁 File: src/logoRaster.js
+
+export const LOGO_DITHER_METHODS = {
+  threshold: 'Threshold',
+  'floyd-steinberg': 'Floyd–Steinberg',
+  ordered: 'Ordered (Bayer)',
+};
+
+// 4x4 Bayer matrix for ordered dithering
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+/**
+ * Converts RGBA pixels to printer dots. Transparent pixels count as white paper.
+ * @param {ImageData} imageData
+ * @param {object} [options]
+ * @param {'threshold'|'floyd-steinberg'|'ordered'} [options.method='threshold']
+ * @param {number} [options.threshold=128] Luminance (0-255) below which a pixel prints;
+ *   for ordered dithering it shifts the whole matrix lighter or darker.
+ * @returns {Uint8Array} One entry per pixel, row by row: 1 where a dot prints.
+ */
+export function ditherImageData({ data, width, height }, { method = 'threshold', threshold = 128 } = {}) {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    const lum = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    luminance[i] = lum * alpha + 255 * (1 - alpha);
+  }
+
+  const dots = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (method === 'ordered') {
+        dots[i] = luminance[i] < (BAYER_4X4[y % 4][x % 4] + 0.5) * 16 + (threshold - 128) ? 1 : 0;
+      } else if (method === 'floyd-steinberg') {
+        const old = luminance[i];
+        dots[i] = old < threshold ? 1 : 0;
+        // Spread the rounding error to the neighbours not yet visited
+        const error = old - (dots[i] ? 0 : 255);
+        if (x + 1 < width) luminance[i + 1] += error * 7 / 16;
+        if (y + 1 < height) {
+          if (x > 0) luminance[i + width - 1] += error * 3 / 16;
+          luminance[i + width] += error * 5 / 16;
+          if (x + 1 < width) luminance[i + width + 1] += error * 1 / 16;
+        }
+      } else {
+        dots[i] = luminance[i] < threshold ? 1 : 0;
+      }
+    }
+  }
+  return dots;
+}
+
+/**
+ * Loads an image and converts it to printer dots at the given width.
+ * @param {string} url Image URL (remote URLs need CORS; object URLs always work).
+ * @param {number} width Target width in dots.
+ * @param {object} [options] Dithering options (see ditherImageData).
+ * @returns {Promise<{ width: number, height: number, dots: Uint8Array }|null>}
+ *   The raster, or null if the image could not be loaded.
+ */
+function convertLogo(url, width, options) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = 'Anonymous'; // Required for loading images from different origins
+    img.onload = () => {
+      // Maintain image proportions
+      const height = Math.max(1, Math.round(width * img.height / img.width));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, width, height);
+      resolve({ width, height, dots: ditherImageData(ctx.getImageData(0, 0, width, height), options) });
+    };
+    img.onerror = (e) => {
+      console.error("Error loading logo image:", url, e);
+      resolve(null);
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Converts a logo to printer dots, reusing an earlier conversion from the
+ * cache when the image, width and dithering options are the same. Pass one
+ * cache per print job so a batch decodes the logo only once.
+ * @param {string} url Image URL.
+ * @param {number} width Target width in dots.
+ * @param {object} [options] Dithering options (see ditherImageData).
+ * @param {Map<string, Promise>} [cache]
+ * @returns {Promise<{ width: number, height: number, dots: Uint8Array }|null>}
+ */
+export function loadLogoRaster(url, width, options = {}, cache) {
+  if (!url) return Promise.resolve(null);
+  const key = [url, width, options.method, options.threshold].join('|');
+  if (cache && cache.has(key)) return cache.get(key);
+  const raster = convertLogo(url, width, options);
+  if (cache) cache.set(key, raster);
+  return raster;
+}
+
+/**
+ * Reads the logo options from settings.
+ * @param {object} settings User print settings (`logoDither`, `logoThreshold`).
+ * @returns {{ method: string, threshold: number }}
+ */
+export function getLogoOptions(settings) {
+  const threshold = parseInt(settings.logoThreshold, 10);
+  return {
+    method: LOGO_DITHER_METHODS[settings.logoDither] ? settings.logoDither : 'threshold',
+    threshold: isNaN(threshold) ? 128 : Math.min(255, Math.max(0, threshold)),
+  };
+}
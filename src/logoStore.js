@@ -0,0 +1,64 @@
+// 📁 File: src/logoStore.js
+
+// An uploaded logo is kept in IndexedDB: too big for localStorage, and it
+// must survive reloads without the CORS headers a logo URL needs.
+const DB_NAME = 'tallythermal';
+const STORE_NAME = 'files';
+const LOGO_KEY = 'logo';
+
+/**
+ * Opens the app's IndexedDB database, creating the file store on first use.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs one request against the file store.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ * @returns {Promise<any>} The request's result.
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Saves an uploaded logo, replacing the previous one.
+ * @param {Blob} file The image file.
+ * @returns {Promise<void>}
+ */
+export async function saveLogoFile(file) {
+  await withStore('readwrite', store => store.put(file, LOGO_KEY));
+}
+
+/**
+ * Loads the uploaded logo.
+ * @returns {Promise<Blob|null>} The image, or null if none has been uploaded.
+ */
+export async function loadLogoFile() {
+  return (await withStore('readonly', store => store.get(LOGO_KEY))) || null;
+}
+
+/**
+ * Removes the uploaded logo.
+ * @returns {Promise<void>}
+ */
+export async function deleteLogoFile() {
+  await withStore('readwrite', store => store.delete(LOGO_KEY));
+}
@@ -0,0 +1,95 @@
+// 📁 File: src/networkTransport.js
+
+// Browsers cannot open raw TCP sockets, so network printers are reached
+// through print-bridge.js, a small Node server on the shop PC
+export const DEFAULT_BRIDGE_URL = 'http://localhost:3002';
+export const DEFAULT_NETWORK_PORT = 9100;
+
+/**
+ * Builds a bridge URL for one printer.
+ * @param {string} bridgeUrl
+ * @param {string} path
+ * @param {string} host Printer IP address or host name.
+ * @param {number} port Printer TCP port.
+ * @returns {string}
+ */
+function bridgeEndpoint(bridgeUrl, path, host, port) {
+  const base = (bridgeUrl || DEFAULT_BRIDGE_URL).replace(/\/+$/, '');
+  return `${base}${path}?host=${encodeURIComponent(host)}&port=${encodeURIComponent(port)}`;
+}
+
+/**
+ * Reads the bridge's error message from a failed response.
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function bridgeError(response) {
+  try {
+    const body = await response.json();
+    return body.error || response.statusText;
+  } catch {
+    return response.statusText;
+  }
+}
+
+/**
+ * Sends a print job to a network printer (raw TCP, usually port 9100) through
+ * the print bridge. The bridge answers once the printer has taken every byte.
+ * @param {{ host: string, port: number, bridgeUrl: string }} printer A saved network printer.
+ * @param {Uint8Array} bytes The job.
+ * @param {object} [options]
+ * @param {(sent: number, total: number) => void} [options.onProgress] Called when the job is delivered.
+ * @returns {Promise<void>}
+ */
+export async function sendToNetworkPrinter({ host, port, bridgeUrl }, bytes, { onProgress } = {}) {
+  let response;
+  try {
+    response = await fetch(bridgeEndpoint(bridgeUrl, '/print', host, port), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: bytes,
+    });
+  } catch {
+    throw new Error(`Print bridge not reachable at ${bridgeUrl || DEFAULT_BRIDGE_URL}. Start it with "node print-bridge.js".`);
+  }
+  if (!response.ok) throw new Error(`Network printer ${host}:${port}: ${await bridgeError(response)}`);
+  if (onProgress) onProgress(bytes.length, bytes.length);
+}
+
+/**
+ * Sends a short command to a network printer through the print bridge and
+ * returns the printer's reply, e.g. a status byte.
+ * @param {{ host: string, port: number, bridgeUrl: string }} printer A saved network printer.
+ * @param {Uint8Array} bytes The command.
+ * @param {number} timeoutMs How long the bridge waits for the reply; 0 sends without waiting.
+ * @returns {Promise<Uint8Array|null>} The reply, or null when the printer gave
+ *   none or the bridge cannot be reached.
+ */
+export async function requestFromNetworkPrinter({ host, port, bridgeUrl }, bytes, timeoutMs) {
+  try {
+    const response = await fetch(`${bridgeEndpoint(bridgeUrl, '/request', host, port)}&timeout=${timeoutMs}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: bytes,
+    });
+    if (!response.ok) return null;
+    const { reply } = await response.json();
+    return reply ? new Uint8Array(reply) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Asks the bridge whether a network printer accepts connections.
+ * @param {{ host: string, port: number, bridgeUrl: string }} printer A saved network printer.
+ * @returns {Promise<boolean>} False when the bridge or the printer cannot be reached.
+ */
+export async function isNetworkPrinterReachable({ host, port, bridgeUrl }) {
+  try {
+    const response = await fetch(bridgeEndpoint(bridgeUrl, '/status', host, port));
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
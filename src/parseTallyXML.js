@@ -1,219 +1,446 @@
 // 📁 File: src/parseTallyXML.js
 
+import amountInWords from './utils/amountInWords';
+
+/**
+ * Parses a Tally XML export into print-ready voucher models.
+ * A single export may carry many TALLYMESSAGE/VOUCHER nodes (e.g. a day's
+ * Sales Orders), so every voucher in the envelope is returned in order.
+ *
+ * Problems are reported rather than thrown: `errors` mean nothing (or a
+ * voucher) could be read, `warnings` mean the slip may print incomplete or
+ * inconsistent data. Each diagnostic is `{ code, message }`; voucher-level
+ * warnings are also kept on the voucher model itself.
+ *
+ * @param {string} xmlString The XML text, as cleaned up by decodeXmlBytes.
+ * @returns {{ vouchers: Array<object>, errors: Array<object>, warnings: Array<object> }}
+ */
 export default function parseTallyXML(xmlString) {
-  try {
-    // This line is crucial for handling the invalid &#4; character from Tally
-    const cleaned = xmlString.replace(/&#4;/g, '');
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(cleaned, 'application/xml');
-    const parseError = xmlDoc.querySelector('parsererror');
-    if (parseError) {
-      const errorText = parseError.textContent || 'Unknown XML parsing error.';
-      console.error('DOMParser Error:', errorText);
-      throw new Error('Invalid XML format: ' + errorText);
-    }
+  const result = { vouchers: [], errors: [], warnings: [] };
 
-    const voucher = xmlDoc.querySelector('VOUCHER');
-    if (!voucher) throw new Error('<VOUCHER> element not found in XML.');
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(xmlString, 'application/xml');
+  const parseError = xmlDoc.querySelector('parsererror');
+  if (parseError) {
+    const errorText = parseError.textContent || 'Unknown XML parsing error.';
+    console.error('DOMParser Error:', errorText);
+    result.errors.push({ code: 'INVALID_XML', message: 'Invalid XML format: ' + errorText.trim() });
+    return result;
+  }
 
-    // Helper functions to get text content from elements
-    const get = (tag, node = voucher) => node.querySelector(tag)?.textContent?.trim() || '';
-    const getAll = (tag, node = voucher) => Array.from(node.querySelectorAll(tag));
+  const vouchers = Array.from(xmlDoc.querySelectorAll('VOUCHER'));
+  if (vouchers.length === 0) {
+    result.errors.push({ code: 'NO_VOUCHER', message: '<VOUCHER> element not found in XML.' });
+    return result;
+  }
 
-    // Company name is usually in SVCURRENTCOMPANY under REQUESTDESC
-    const companyElement = xmlDoc.querySelector('REQUESTDESC > STATICVARIABLES > SVCURRENTCOMPANY');
-    const companyName = companyElement?.textContent?.trim() || '';
+  // Company name is usually in SVCURRENTCOMPANY under REQUESTDESC
+  const companyElement = xmlDoc.querySelector('REQUESTDESC > STATICVARIABLES > SVCURRENTCOMPANY');
+  const companyName = companyElement?.textContent?.trim() || '';
+  if (!companyName) {
+    result.warnings.push({ code: 'NO_COMPANY', message: 'Company name (SVCURRENTCOMPANY) not found; the header will be blank.' });
+  }
 
-    // Address handling (using BASICBUYERADDRESS.LIST as in your original code)
-    const address = getAll('BASICBUYERADDRESS\\.LIST > BASICBUYERADDRESS', voucher)
-      .map(a => a.textContent.trim())
-      .join('\n');
+  vouchers.forEach((voucher, index) => {
+    try {
+      result.vouchers.push(parseVoucher(voucher, companyName));
+    } catch (err) {
+      console.error('XML Parse Error (DOMParser):', err);
+      result.errors.push({ code: 'VOUCHER_FAILED', message: `Voucher #${index + 1} could not be read: ${err.message}` });
+    }
+  });
+  return result;
+}
 
-    // Helper to parse quantity (e.g., "10 NOS" -> "10")
-    const parseQty = (qtyStr) => {
-      const [qty] = qtyStr.trim().split(' ');
-      return isNaN(parseFloat(qty)) ? '0' : qty;
-    };
+/**
+ * Builds the print model for a single VOUCHER element.
+ * @param {Element} voucher The VOUCHER node.
+ * @param {string} companyName Company name taken from the envelope header.
+ * @returns {object} The parsed voucher.
+ */
+function parseVoucher(voucher, companyName) {
+  const warnings = [];
+  const warn = (code, message) => warnings.push({ code, message });
+
+  // Helper functions to get text content from elements
+  const get = (tag, node = voucher) => node.querySelector(tag)?.textContent?.trim() || '';
+  const getAll = (tag, node = voucher) => Array.from(node.querySelectorAll(tag));
 
-    // Helper to parse item details from a specific inventory entry list
-    // This now expects a NodeList (or array) of elements, not a single element
-    const parseItemsFromList = (listElements) => {
-      if (!listElements || listElements.length === 0) return [];
-      return Array.from(listElements).map((el) => { // Ensure it's iterable
-        const qty = parseQty(get('ACTUALQTY', el));
-        const rate = parseFloat(get('RATE', el)?.split('/')[0] || 0).toFixed(2);
-        const amount = Math.abs(parseFloat(get('AMOUNT', el) || 0)).toFixed(2); // Use Math.abs for amount
-        return { name: get('STOCKITEMNAME', el), qty, rate, amount };
-      });
+  // Address handling (using BASICBUYERADDRESS.LIST as in your original code)
+  const address = getAll('BASICBUYERADDRESS\\.LIST > BASICBUYERADDRESS', voucher)
+    .map(a => a.textContent.trim())
+    .join('\n');
+
+  // Helper to parse quantity, keeping its unit and any alternate unit
+  // (e.g., "10 NOS" -> { qty: "10", unit: "NOS" },
+  //        "10 Box = 120 Nos" -> { qty: "10", unit: "Box", altQty: "120", altUnit: "Nos" })
+  const parseQty = (qtyStr) => {
+    const [primary, alternate = ''] = qtyStr.split('=');
+    const [qty, ...unit] = primary.trim().split(/\s+/);
+    const [altQty, ...altUnit] = alternate.trim().split(/\s+/);
+    return {
+      qty: isNaN(parseFloat(qty)) ? '0' : qty,
+      unit: unit.join(' '),
+      altQty: isNaN(parseFloat(altQty)) ? '' : altQty,
+      altUnit: altUnit.join(' '),
     };
+  };
 
-    let items = [];
-    const voucherTypeName = get('VOUCHERTYPENAME').toUpperCase();
-    const objView = get('OBJVIEW').toUpperCase();
+  // Batch-wise and godown-wise allocations of an inventory entry
+  const parseAllocations = (el) => getAll('BATCHALLOCATIONS\\.LIST', el)
+    .map(batch => ({
+      godown: get('GODOWNNAME', batch),
+      batch: get('BATCHNAME', batch) === 'Primary Batch' ? '' : get('BATCHNAME', batch),
+      expiry: get('EXPIRYPERIOD', batch),
+      qty: parseQty(get('ACTUALQTY', batch)).qty,
+    }))
+    .filter(allocation => allocation.godown || allocation.batch || allocation.expiry);
 
-    // --- Conditional Item Parsing Logic ---
-    if (voucherTypeName.includes('STOCK JOURNAL') || objView.includes('CONSUMPTION VOUCHER VIEW')) {
-      // For Stock Journal, prioritize INVENTORYENTRIESOUT.LIST
-      // These usually represent the items being "transferred out" or "produced".
-      const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
-      items = parseItemsFromList(inventoryEntriesOut);
-    } else if (voucherTypeName.includes('SALES ORDER') || voucherTypeName.includes('SALES')) {
-      // For Sales Orders/Sales, prioritize ALLINVENTORYENTRIES.LIST
-      // If empty, fall back to INVENTORYENTRIESOUT.LIST
-      const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
-      items = parseItemsFromList(allInventoryEntries);
-      if (items.length === 0) {
-        const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
-        items = parseItemsFromList(inventoryEntriesOut);
+  // Helper to parse item details from a specific inventory entry list
+  // This now expects a NodeList (or array) of elements, not a single element
+  const parseItemsFromList = (listElements) => {
+    if (!listElements || listElements.length === 0) return [];
+    return Array.from(listElements).map((el) => { // Ensure it's iterable
+      const actualQty = get('ACTUALQTY', el);
+      const { qty, unit, altQty, altUnit } = parseQty(actualQty);
+      if (actualQty && isNaN(parseFloat(actualQty))) {
+        warn('BAD_QUANTITY', `Quantity "${actualQty}" of ${get('STOCKITEMNAME', el) || 'an item'} could not be read; printing 0.`);
       }
-    } else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) {
-      // For Material Out/Delivery, prioritize INVENTORYENTRIESOUT.LIST
-      // If empty, fall back to ALLINVENTORYENTRIES.LIST
+      const billedQty = parseQty(get('BILLEDQTY', el) || get('ACTUALQTY', el)).qty;
+      const [rateValue, rateUnit = ''] = get('RATE', el).split('/');
+      const rate = parseFloat(rateValue || 0).toFixed(2);
+      const allocations = parseAllocations(el);
+      const amount = Math.abs(parseFloat(get('AMOUNT', el) || 0)).toFixed(2); // Use Math.abs for amount
+      const hsn = get('GSTHSNNAME', el) || get('HSNCODE', el) || get('GSTHSNCODE', el);
+      // DISCOUNT is the item-level discount percentage; AMOUNT is already net of it
+      const discount = parseFloat(get('DISCOUNT', el)) || 0;
+      return {
+        name: get('STOCKITEMNAME', el),
+        qty,
+        unit,
+        altQty,
+        altUnit,
+        billedQty,
+        rate,
+        rateUnit: rateUnit.trim(),
+        godown: allocations[0]?.godown || '',
+        batch: allocations[0]?.batch || '',
+        expiry: allocations[0]?.expiry || '',
+        allocations,
+        discount: discount ? String(discount) : '',
+        amount,
+        hsn,
+        gstRate: parseItemGstRate(el),
+        taxableValue: amount, // Inventory AMOUNT is the value before tax
+      };
+    });
+  };
+
+  let items = [];
+  const voucherTypeName = get('VOUCHERTYPENAME').toUpperCase();
+  const objView = get('OBJVIEW').toUpperCase();
+
+  // --- Conditional Item Parsing Logic ---
+  let sections = null;
+  if (voucherTypeName.includes('STOCK JOURNAL') || objView.includes('CONSUMPTION VOUCHER VIEW')) {
+    // Stock Journals have two sides: INVENTORYENTRIESIN.LIST holds the
+    // materials consumed and INVENTORYENTRIESOUT.LIST the items produced
+    // (or "transferred out"). Each side is kept as its own section.
+    const inventoryEntriesIn = getAll('INVENTORYENTRIESIN\\.LIST', voucher); // Use getAll
+    const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
+    sections = [
+      { title: 'Source (Consumed)', items: parseItemsFromList(inventoryEntriesIn) },
+      { title: 'Destination (Produced)', items: parseItemsFromList(inventoryEntriesOut) },
+    ].filter(section => section.items.length > 0);
+    items = sections.flatMap(section => section.items);
+  } else if (voucherTypeName.includes('SALES ORDER') || voucherTypeName.includes('SALES')) {
+    // For Sales Orders/Sales, prioritize ALLINVENTORYENTRIES.LIST
+    // If empty, fall back to INVENTORYENTRIESOUT.LIST
+    const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
+    items = parseItemsFromList(allInventoryEntries);
+    if (items.length === 0) {
       const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
       items = parseItemsFromList(inventoryEntriesOut);
-      if (items.length === 0) {
-        const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
-        items = parseItemsFromList(allInventoryEntries);
-      }
-    } else {
-      // Fallback for other or unknown voucher types: combine all
+    }
+  } else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) {
+    // For Material Out/Delivery, prioritize INVENTORYENTRIESOUT.LIST
+    // If empty, fall back to ALLINVENTORYENTRIES.LIST
+    const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
+    items = parseItemsFromList(inventoryEntriesOut);
+    if (items.length === 0) {
       const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
-      const inventoryEntriesIn = getAll('INVENTORYENTRIESIN\\.LIST', voucher); // Use getAll
-      const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
-
-      items = [
-        ...parseItemsFromList(allInventoryEntries),
-        ...parseItemsFromList(inventoryEntriesIn),
-        ...parseItemsFromList(inventoryEntriesOut),
-      ];
+      items = parseItemsFromList(allInventoryEntries);
     }
+  } else {
+    // Fallback for other or unknown voucher types: combine all
+    const allInventoryEntries = getAll('ALLINVENTORYENTRIES\\.LIST', voucher); // Use getAll
+    const inventoryEntriesIn = getAll('INVENTORYENTRIESIN\\.LIST', voucher); // Use getAll
+    const inventoryEntriesOut = getAll('INVENTORYENTRIESOUT\\.LIST', voucher); // Use getAll
+
+    items = [
+      ...parseItemsFromList(allInventoryEntries),
+      ...parseItemsFromList(inventoryEntriesIn),
+      ...parseItemsFromList(inventoryEntriesOut),
+    ];
+  }
 
-    // Assign sNo after the final items list is determined
-    items.forEach((item, index) => {
+  // Everything else prints as a single untitled section
+  if (!sections) sections = [{ title: '', items }];
+
+  // Assign sNo (per section) and subtotals after the final items list is determined
+  const sumAmounts = (list) => list.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+  sections.forEach((section) => {
+    section.items.forEach((item, index) => {
       item.sNo = index + 1;
     });
+    section.subtotal = sumAmounts(section.items).toFixed(2);
+  });
 
-    const subtotal = items.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+  // A Stock Journal's value is that of what it produces, so the consumed side
+  // is left out of the voucher subtotal.
+  const subtotal = sections.length > 1
+    ? parseFloat(sections[sections.length - 1].subtotal)
+    : sumAmounts(items);
 
-    // Extract Ledger Entries for GST and Total
-    const ledgerEntries = getAll('LEDGERENTRIES\\.LIST', voucher);
-    const findAmount = (ledgerName) => {
-      const entry = ledgerEntries.find((n) => get('LEDGERNAME', n) === ledgerName);
-      return parseFloat(entry?.querySelector('AMOUNT')?.textContent || 0);
-    };
+  // Extract Ledger Entries for GST and Total.
+  // Tax ledgers are matched by duty head rather than exact name, so
+  // "Output CGST 9%" and "CGST" both count towards CGST.
+  // Accounting vouchers are often exported with ALLLEDGERENTRIES.LIST instead.
+  const ledgerEntries = getAll('LEDGERENTRIES\\.LIST, ALLLEDGERENTRIES\\.LIST', voucher);
+  const taxTotals = { igst: 0, cgst: 0, sgst: 0, cess: 0 };
+  const ledgerRates = { igst: new Set(), cgst: new Set(), sgst: new Set(), cess: new Set() };
+  ledgerEntries.forEach((entry) => {
+    const taxHead = classifyTaxLedger(entry);
+    if (!taxHead) return;
+    taxTotals[taxHead] += Math.abs(parseFloat(get('AMOUNT', entry) || 0));
+    const percent = parsePercent(get('LEDGERNAME', entry));
+    if (percent > 0) ledgerRates[taxHead].add(percent);
+  });
+  const { igst, cgst, sgst, cess } = taxTotals;
 
-    const igst = findAmount('IGST');
-    const cgst = findAmount('CGST');
-    const sgst = findAmount('SGST') || findAmount('SGST/UTGST'); // Handle both SGST and SGST/UTGST
+  // Items without their own rate details inherit the rate implied by the tax
+  // ledger names, but only when the voucher carries a single rate.
+  let ledgerRate = 0;
+  if (ledgerRates.igst.size === 1) ledgerRate = [...ledgerRates.igst][0];
+  else if (ledgerRates.cgst.size === 1 && ledgerRates.sgst.size === 1) {
+    ledgerRate = [...ledgerRates.cgst][0] + [...ledgerRates.sgst][0];
+  }
+  items.forEach((item) => {
+    if (!item.gstRate && ledgerRate > 0) item.gstRate = ledgerRate;
+  });
+  const taxSummary = buildTaxSummary(items, igst > 0 && cgst === 0 && sgst === 0);
 
-    // Find the party ledger entry for the total amount
-    const partyAmountEntry = ledgerEntries.find((n) => get('ISPARTYLEDGER', n) === 'Yes');
-    const total = partyAmountEntry
-      ? Math.abs(parseFloat(get('AMOUNT', partyAmountEntry) || 0)).toFixed(2)
-      : subtotal.toFixed(2); // Fallback to subtotal if party ledger not found
+  // Find the party ledger entry for the total amount
+  const partyAmountEntry = ledgerEntries.find((n) => get('ISPARTYLEDGER', n) === 'Yes');
+  const total = partyAmountEntry
+    ? Math.abs(parseFloat(get('AMOUNT', partyAmountEntry) || 0)).toFixed(2)
+    : subtotal.toFixed(2); // Fallback to subtotal if party ledger not found
 
-    // Determine heading based on voucher type
-    let heading = 'DOCUMENT';
-    if (voucherTypeName.includes('SALES ORDER')) heading = 'SALES ORDER';
-    else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) heading = 'MATERIAL CHALLAN';
-    else if (voucherTypeName.includes('SALES')) heading = 'SALES INVOICE'; // Added for general sales
-    else if (voucherTypeName.includes('STOCK JOURNAL')) heading = 'STOCK JOURNAL'; // Specific for Stock Journal
+  // Every other ledger (freight, packing, TCS, discount, round-off...) is an
+  // additional charge. It adds to the bill when it posts on the opposite side
+  // of the party ledger, and reduces it otherwise.
+  const partyAmount = partyAmountEntry ? parseFloat(get('AMOUNT', partyAmountEntry) || 0) : 0;
+  const charges = ledgerEntries
+    .filter(entry => entry !== partyAmountEntry && !classifyTaxLedger(entry))
+    .map((entry) => {
+      const amount = parseFloat(get('AMOUNT', entry) || 0);
+      const increasesTotal = partyAmountEntry ? Math.sign(amount) !== Math.sign(partyAmount) : amount >= 0;
+      return {
+        name: get('LEDGERNAME', entry),
+        amount: Math.abs(amount).toFixed(2),
+        sign: increasesTotal ? '+' : '-',
+      };
+    })
+    .filter(charge => parseFloat(charge.amount) !== 0);
 
-    // Narration (if present)
-    const narration = get('NARRATION') || '';
+  // Determine heading based on voucher type
+  let heading = 'DOCUMENT';
+  if (voucherTypeName.includes('SALES ORDER')) heading = 'SALES ORDER';
+  else if (voucherTypeName.includes('MATERIAL OUT') || voucherTypeName.includes('DELIVERY')) heading = 'MATERIAL CHALLAN';
+  else if (voucherTypeName.includes('SALES')) heading = 'SALES INVOICE'; // Added for general sales
+  else if (voucherTypeName.includes('STOCK JOURNAL')) heading = 'STOCK JOURNAL'; // Specific for Stock Journal
+  else if (voucherTypeName.includes('RECEIPT NOTE')) heading = 'RECEIPT NOTE';
+  else if (voucherTypeName.includes('RECEIPT')) heading = 'RECEIPT VOUCHER';
+  else if (voucherTypeName.includes('PAYMENT')) heading = 'PAYMENT VOUCHER';
+  else if (voucherTypeName.includes('CREDIT NOTE')) heading = 'CREDIT NOTE';
+  else if (voucherTypeName.includes('DEBIT NOTE')) heading = 'DEBIT NOTE';
+  else if (voucherTypeName.includes('CONTRA')) heading = 'CONTRA VOUCHER';
+  else if (voucherTypeName.includes('JOURNAL')) heading = 'JOURNAL VOUCHER';
 
-    return {
-      heading,
-      company: { name: companyName, gstin: get('CMPGSTIN') },
-      order: {
-        number: get('VOUCHERNUMBER'),
-        date: formatDate(get('DATE')), // Use the local formatDate helper
-        user: get('ENTEREDBY'),
-      },
-      party: {
-        name: get('PARTYNAME'),
-        address,
-        gstin: get('PARTYGSTIN'),
-      },
-      items,
-      totals: {
-        subtotal: subtotal.toFixed(2),
-        igst: igst.toFixed(2),
-        cgst: cgst.toFixed(2),
-        sgst: sgst.toFixed(2),
-        total,
-      },
-      narration,
-    };
-  } catch (err) {
-    console.error('XML Parse Error (DOMParser):', err);
-    return null;
+  // Receipts, payments, journals and item-less credit/debit notes print their
+  // ledger lines instead of an item table.
+  const isAccountingType = ['RECEIPT VOUCHER', 'PAYMENT VOUCHER', 'JOURNAL VOUCHER', 'CONTRA VOUCHER', 'CREDIT NOTE', 'DEBIT NOTE']
+    .includes(heading);
+  const layout = isAccountingType && items.length === 0 ? 'ledger' : 'items';
+  const ledgers = layout === 'ledger' ? ledgerEntries.map(parseLedgerLine).filter(line => parseFloat(line.amount) !== 0) : [];
+  const ledgerTotal = ledgers
+    .filter(line => line.side === 'Dr')
+    .reduce((sum, line) => sum + parseFloat(line.amount), 0);
+
+  // Narration (if present)
+  const narration = get('NARRATION') || '';
+
+  const grandTotal = layout === 'ledger' ? ledgerTotal.toFixed(2) : total;
+
+  if (heading === 'DOCUMENT') {
+    warn('UNKNOWN_VOUCHER_TYPE', `Voucher type "${get('VOUCHERTYPENAME') || 'unknown'}" is not recognised; printing as a generic document.`);
+  }
+  if (layout === 'items' && items.length === 0) {
+    warn('NO_ITEMS', 'No inventory entries found; the item list will be empty.');
   }
+  if (layout === 'ledger' && ledgers.length === 0) {
+    warn('NO_LEDGERS', 'No ledger entries found; the voucher will print without particulars.');
+  }
+
+  return {
+    heading,
+    layout,
+    company: { name: companyName, gstin: get('CMPGSTIN') },
+    order: {
+      number: get('VOUCHERNUMBER'),
+      date: formatDate(get('DATE')), // Use the local formatDate helper
+      user: get('ENTEREDBY'),
+    },
+    party: {
+      name: get('PARTYNAME') || get('PARTYLEDGERNAME'),
+      address,
+      gstin: get('PARTYGSTIN'),
+    },
+    items,
+    sections,
+    ledgers,
+    totals: {
+      subtotal: (layout === 'ledger' ? ledgerTotal : subtotal).toFixed(2),
+      igst: igst.toFixed(2),
+      cgst: cgst.toFixed(2),
+      sgst: sgst.toFixed(2),
+      cess: cess.toFixed(2),
+      total: grandTotal,
+    },
+    amountInWords: amountInWords(grandTotal),
+    charges: layout === 'ledger' ? [] : charges,
+    taxSummary,
+    narration,
+    warnings,
+  };
 }
 
-// Local helper function for date formatting
-function formatDate(d) {
-  return d ? `${d.slice(6, 8)}-${d.slice(4, 6)}-${d.slice(0, 4)}` : '';
+/**
+ * Reads the GST rate of an inventory entry from its RATEDETAILS.LIST blocks.
+ * Integrated tax carries the full rate; otherwise central + state are summed.
+ * @param {Element} entry An inventory entry node.
+ * @returns {number} The GST rate in percent, or 0 when none is present.
+ */
+function parseItemGstRate(entry) {
+  const rates = {};
+  entry.querySelectorAll('RATEDETAILS\\.LIST').forEach((detail) => {
+    const head = detail.querySelector('GSTRATEDUTYHEAD')?.textContent?.trim().toUpperCase() || '';
+    const rate = parseFloat(detail.querySelector('GSTRATE')?.textContent || 0) || 0;
+    if (head.includes('IGST') || head.includes('INTEGRATED')) rates.igst = rate;
+    else if (head.includes('CGST') || head.includes('CENTRAL')) rates.cgst = rate;
+    else if (head.includes('SGST') || head.includes('UTGST') || head.includes('STATE')) rates.sgst = rate;
+  });
+  if (rates.igst) return rates.igst;
+  if (rates.cgst || rates.sgst) return (rates.cgst || 0) + (rates.sgst || 0);
+  return parseFloat(entry.querySelector('GSTRATE')?.textContent || 0) || 0;
 }
 
 /**
- * Converts a number to Indian Rupee words (simplified).
- * This is a basic implementation and may not cover all edge cases.
- * @param {number} num The number to convert.
- * @returns {string} The number in words.
+ * Works out which GST duty head a ledger entry posts to.
+ * Uses GSTDUTYHEAD/TAXTYPE when the export carries them, else the ledger name.
+ * @param {Element} entry A LEDGERENTRIES.LIST node.
+ * @returns {'igst'|'cgst'|'sgst'|'cess'|null} The tax head, or null for non-tax ledgers.
  */
-function convertNumberToWords(num) {
-  const a = ['', 'one ', 'two ', 'three ', 'four ', 'five ', 'six ', 'seven ', 'eight ', 'nine ', 'ten ', 'eleven ', 'twelve ', 'thirteen ', 'fourteen ', 'fifteen ', 'sixteen ', 'seventeen ', 'eighteen ', 'nineteen '];
-  const b = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
-  const c = ['hundred', 'thousand', 'lakh', 'crore'];
-
-  function inWords(n) {
-    let s = '';
-    if (n < 20) {
-      s = a[n];
-    } else {
-      s = b[Math.floor(n / 10)] + ' ' + a[n % 10];
-    }
-    return s;
-  }
+function classifyTaxLedger(entry) {
+  if (entry.querySelector('ISPARTYLEDGER')?.textContent?.trim() === 'Yes') return null;
+  const dutyHead = entry.querySelector('GSTDUTYHEAD')?.textContent?.trim().toUpperCase() || '';
+  const name = entry.querySelector('LEDGERNAME')?.textContent?.trim().toUpperCase() || '';
+  const label = `${dutyHead} ${name}`;
+  if (/\bIGST\b|INTEGRATED TAX/.test(label)) return 'igst';
+  if (/\bCGST\b|CENTRAL TAX/.test(label)) return 'cgst';
+  if (/\bSGST\b|\bUTGST\b|STATE TAX|UT TAX/.test(label)) return 'sgst';
+  if (/\bCESS\b/.test(label)) return 'cess';
+  return null;
+}
 
-  let n = num.toFixed(2).toString().split('.');
-  let rupee = parseFloat(n[0]);
-  let paisa = parseFloat(n[1]);
+/**
+ * Reads one ledger line of an accounting voucher (receipt, payment, journal...).
+ * @param {Element} entry A LEDGERENTRIES.LIST / ALLLEDGERENTRIES.LIST node.
+ * @returns {object} { name, side, amount, bills, bank } with bill-wise references
+ *   from BILLALLOCATIONS.LIST and instrument details from BANKALLOCATIONS.LIST.
+ */
+function parseLedgerLine(entry) {
+  const text = (tag, node = entry) => node.querySelector(tag)?.textContent?.trim() || '';
+  const amount = parseFloat(text(':scope > AMOUNT') || 0);
+  // Tally writes debits as negative amounts flagged ISDEEMEDPOSITIVE=Yes
+  const deemedPositive = text(':scope > ISDEEMEDPOSITIVE');
+  const side = deemedPositive ? (deemedPositive === 'Yes' ? 'Dr' : 'Cr') : (amount < 0 ? 'Dr' : 'Cr');
 
-  let str = '';
-  let parts = [];
+  const bills = Array.from(entry.querySelectorAll('BILLALLOCATIONS\\.LIST'))
+    .map(bill => ({
+      name: text('NAME', bill),
+      type: text('BILLTYPE', bill),
+      amount: Math.abs(parseFloat(text('AMOUNT', bill) || 0)).toFixed(2),
+    }))
+    .filter(bill => bill.name || bill.type);
 
-  if (rupee === 0) {
-    str += 'Zero ';
-  } else {
-    if (rupee >= 10000000) { // Crores
-      parts.push(inWords(Math.floor(rupee / 10000000)) + 'crore ');
-      rupee %= 10000000;
-    }
-    if (rupee >= 100000) { // Lakhs
-      parts.push(inWords(Math.floor(rupee / 100000)) + 'lakh ');
-      rupee %= 100000;
-    }
-    if (rupee >= 1000) { // Thousands
-      parts.push(inWords(Math.floor(rupee / 1000)) + 'thousand ');
-      rupee %= 1000;
-    }
-    if (rupee >= 100) { // Hundreds
-      parts.push(inWords(Math.floor(rupee / 100)) + 'hundred ');
-      rupee %= 100;
-    }
-    if (rupee > 0) {
-      parts.push(inWords(rupee));
+  const bankEntry = entry.querySelector('BANKALLOCATIONS\\.LIST');
+  const bank = bankEntry
+    ? {
+      transactionType: text('TRANSACTIONTYPE', bankEntry),
+      instrumentNumber: text('INSTRUMENTNUMBER', bankEntry),
+      instrumentDate: formatDate(text('INSTRUMENTDATE', bankEntry)),
+      bankName: text('BANKNAME', bankEntry),
+      favouring: text('PAYMENTFAVOURING', bankEntry),
+      reference: text('UNIQUEREFERENCENUMBER', bankEntry),
     }
-    str += parts.join('').trim();
-  }
+    : null;
 
-  str += ' Rupees';
+  return {
+    name: text(':scope > LEDGERNAME'),
+    side,
+    amount: Math.abs(amount).toFixed(2),
+    bills,
+    bank,
+  };
+}
 
-  if (paisa > 0) {
-    str += ' and ' + inWords(paisa) + ' Paisa';
-  }
+// Pulls a percentage out of a ledger name such as "Output CGST 9%"
+function parsePercent(text) {
+  const match = text.match(/(\d+(?:\.\d+)?)\s*%/);
+  return match ? parseFloat(match[1]) : 0;
+}
 
-  return str.trim() + ' Only';
+/**
+ * Groups items by HSN/SAC and rate for the GST invoice tax summary.
+ * @param {Array<object>} items Parsed items carrying hsn, gstRate and taxableValue.
+ * @param {boolean} interState True when the voucher charges IGST instead of CGST + SGST.
+ * @returns {Array<object>} Rows of { hsn, rate, taxable, cgst, sgst, igst } as fixed strings.
+ */
+function buildTaxSummary(items, interState) {
+  const rows = new Map();
+  items.forEach((item) => {
+    const key = `${item.hsn}|${item.gstRate}`;
+    const row = rows.get(key) || { hsn: item.hsn, rate: item.gstRate, taxable: 0 };
+    row.taxable += parseFloat(item.taxableValue) || 0;
+    rows.set(key, row);
+  });
+  return Array.from(rows.values())
+    .filter(row => row.hsn || row.rate > 0)
+    .map((row) => {
+      const tax = (row.taxable * row.rate) / 100;
+      return {
+        hsn: row.hsn,
+        rate: String(row.rate),
+        taxable: row.taxable.toFixed(2),
+        cgst: interState ? '0.00' : (tax / 2).toFixed(2),
+        sgst: interState ? '0.00' : (tax / 2).toFixed(2),
+        igst: interState ? tax.toFixed(2) : '0.00',
+      };
+    });
+}
+
+// Local helper function for date formatting
+function formatDate(d) {
+  return d ? `${d.slice(6, 8)}-${d.slice(4, 6)}-${d.slice(0, 4)}` : '';
 }
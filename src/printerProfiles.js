@@ -0,0 +1,91 @@
+// 📁 File: src/printerProfiles.js
+
+import { CODE_PAGES, DEFAULT_CODE_PAGE } from './codePages';
+import { DIALECTS, DEFAULT_DIALECT } from './dialects';
+
+/**
+ * Printer profiles. Every column calculation in the printer output, the logo
+ * raster width and the preview width come from the selected profile.
+ * - paperWidthMm: roll width, used for the on-screen preview
+ * - dotsPerLine: printable width in dots, used for the logo raster
+ * - dpi: print head resolution
+ * - fontACharsPerLine / fontBCharsPerLine: characters per line in each font
+ * - codePage: default code page (see codePages.js), changeable per profile
+ * - dialect: default command set (see dialects/index.js), changeable per profile
+ * - fontHeights: character cell heights in dots, when not FONT_HEIGHTS
+ */
+export const PRINTER_PROFILES = {
+  '58mm': {
+    label: '58mm (384 dots)',
+    paperWidthMm: 58,
+    dotsPerLine: 384,
+    dpi: 203,
+    fontACharsPerLine: 32,
+    fontBCharsPerLine: 42,
+    codePage: 'pc437',
+    dialect: 'escpos',
+  },
+  '80mm': {
+    label: '80mm (576 dots)',
+    paperWidthMm: 80,
+    dotsPerLine: 576,
+    dpi: 203,
+    fontACharsPerLine: 48,
+    fontBCharsPerLine: 64,
+    codePage: 'pc437',
+    dialect: 'escpos',
+  },
+  '80mm-512': {
+    label: '80mm (512 dots, 180 DPI)',
+    paperWidthMm: 80,
+    dotsPerLine: 512,
+    dpi: 180,
+    fontACharsPerLine: 42,
+    fontBCharsPerLine: 56,
+    codePage: 'pc437',
+    dialect: 'escpos',
+  },
+  '9pin-80col': {
+    label: 'Dot matrix, 80 columns (continuous)',
+    paperWidthMm: 203,
+    dotsPerLine: 576,
+    dpi: 72,
+    fontACharsPerLine: 80,
+    fontBCharsPerLine: 136,
+    codePage: 'pc437',
+    dialect: 'escp',
+    fontHeights: { A: 9, B: 9 },
+  },
+};
+
+export const DEFAULT_PRINTER_PROFILE = '80mm';
+
+// Character cell heights in dots of the printer's built-in fonts
+export const FONT_HEIGHTS = { A: 24, B: 17 };
+
+/**
+ * Resolves the printer profile, font, command set and code page chosen in
+ * settings. Unknown profile ids fall back to the default 80mm profile, and a
+ * code page the command set cannot select falls back to one it can.
+ * @param {object} settings User print settings (`printerProfile`, `printerFont`, `dialects`, `codePages`).
+ * @returns {object} The profile plus its `id`, `font` ('A' or 'B'), `charsPerLine`
+ *   for that font and the `dialect` and `codePage` chosen for it.
+ */
+export function getPrinterProfile(settings = {}) {
+  const id = PRINTER_PROFILES[settings.printerProfile] ? settings.printerProfile : DEFAULT_PRINTER_PROFILE;
+  const profile = PRINTER_PROFILES[id];
+  const font = settings.printerFont === 'B' ? 'B' : 'A';
+  const dialectId = (settings.dialects || {})[id];
+  const dialect = DIALECTS[dialectId] ? dialectId : profile.dialect || DEFAULT_DIALECT;
+  const supported = DIALECTS[dialect].codePages;
+  const chosen = (settings.codePages || {})[id];
+  const codePage = CODE_PAGES[chosen] ? chosen : profile.codePage || DEFAULT_CODE_PAGE;
+  return {
+    ...profile,
+    id,
+    font,
+    charsPerLine: font === 'B' ? profile.fontBCharsPerLine : profile.fontACharsPerLine,
+    dialect,
+    codePage: supported[codePage] !== undefined ? codePage : Object.keys(supported)[0],
+  };
+}
@@ -0,0 +1,24 @@
+// src/printerProfiles.test.js
+
+import { describe, it, expect } from 'vitest';
+import { getPrinterProfile, DEFAULT_PRINTER_PROFILE } from './printerProfiles';
+
+describe('getPrinterProfile', () => {
+  it('falls back to the default profile and font A', () => {
+    expect(getPrinterProfile({ printerProfile: 'nope' })).toMatchObject({ id: DEFAULT_PRINTER_PROFILE, font: 'A', charsPerLine: 48 });
+    expect(getPrinterProfile()).toMatchObject({ id: DEFAULT_PRINTER_PROFILE, dialect: 'escpos', codePage: 'pc437' });
+  });
+
+  it('uses the chosen dialect and code page per profile', () => {
+    const settings = { printerProfile: '80mm', dialects: { '80mm': 'star' }, codePages: { '80mm': 'pc858' } };
+    expect(getPrinterProfile(settings)).toMatchObject({ dialect: 'star', codePage: 'pc858' });
+    expect(getPrinterProfile({ ...settings, dialects: { '80mm': 'unknown' } })).toMatchObject({ dialect: 'escpos', codePage: 'pc858' });
+  });
+
+  it('falls back to the ESC/P character table for code pages ESC/P cannot select', () => {
+    expect(getPrinterProfile({ printerProfile: '9pin-80col', codePages: { '9pin-80col': 'wpc1252' } }))
+      .toMatchObject({ dialect: 'escp', codePage: 'pc437', charsPerLine: 80 });
+    expect(getPrinterProfile({ printerProfile: '80mm', dialects: { '80mm': 'escp' }, codePages: { '80mm': 'pc858' } }))
+      .toMatchObject({ dialect: 'escp', codePage: 'pc437' });
+  });
+});
@@ -0,0 +1,178 @@
+// 📁 File: src/printerRegistry.js
+
+import { DEFAULT_PRINTER_PROFILE } from './printerProfiles';
+import { DEFAULT_BAUD_RATE } from './serialTransport';
+import { DEFAULT_BRIDGE_URL, DEFAULT_NETWORK_PORT, isNetworkPrinterReachable } from './networkTransport';
+
+const STORAGE_KEY = 'tallyPrinters';
+
+const hex = value => (value ?? 0).toString(16).padStart(4, '0');
+
+/**
+ * Identifies a USB printer across sessions by vendor, product and serial
+ * number (printers without a serial number share a key per model).
+ * @param {USBDevice} device
+ * @returns {string} e.g. "0483:5720:A1B2C3"
+ */
+export function printerKey(device) {
+  return `${hex(device.vendorId)}:${hex(device.productId)}:${device.serialNumber || ''}`;
+}
+
+/**
+ * Identifies a serial port across sessions by its USB adapter or Bluetooth
+ * service, which is all Web Serial reveals about a port.
+ * @param {SerialPort} port
+ * @returns {string} e.g. "serial:067b:2303" or "serial:bt:00001101-..."
+ */
+export function serialPortKey(port) {
+  const info = port.getInfo();
+  if (info.usbVendorId !== undefined) return `serial:${hex(info.usbVendorId)}:${hex(info.usbProductId)}`;
+  return `serial:bt:${info.bluetoothServiceClassId || 'unknown'}`;
+}
+
+/**
+ * Identifies a network printer by address.
+ * @param {string} host
+ * @param {number} port
+ * @returns {string} e.g. "tcp:192.168.1.50:9100"
+ */
+export function networkPrinterKey(host, port) {
+  return `tcp:${host}:${port}`;
+}
+
+/**
+ * Loads the saved printers. Each printer has a `key`, `name`, `profile` and
+ * `transport` ('usb', 'serial' or 'network') plus that transport's fields:
+ * USB `vendorId`, `productId`, `serialNumber`; serial `baudRate`,
+ * `flowControl`; network `host`, `port`, `bridgeUrl`. `selectedKey` is the
+ * printer jobs go to.
+ * @returns {{ printers: Array<object>, selectedKey: string|null }}
+ */
+export function loadPrinterRegistry() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.printers)) {
+      // Printers saved before other transports existed are USB printers
+      const printers = saved.printers.map(printer => ({ transport: 'usb', ...printer }));
+      return { printers, selectedKey: saved.selectedKey || null };
+    }
+  } catch (err) {
+    console.error("Failed to read the saved printers, starting empty:", err);
+  }
+  return { printers: [], selectedKey: null };
+}
+
+/**
+ * Saves the printers for the next session.
+ * @param {{ printers: Array<object>, selectedKey: string|null }} registry
+ */
+export function savePrinterRegistry(registry) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+}
+
+/**
+ * Describes a USB device as a registry printer.
+ * @param {USBDevice} device
+ * @param {string} [profile] Printer profile id.
+ * @returns {object}
+ */
+export function usbPrinter(device, profile = DEFAULT_PRINTER_PROFILE) {
+  const key = printerKey(device);
+  return {
+    key,
+    name: device.productName || `USB printer ${key}`,
+    profile,
+    transport: 'usb',
+    vendorId: device.vendorId,
+    productId: device.productId,
+    serialNumber: device.serialNumber || '',
+  };
+}
+
+/**
+ * Describes a serial port as a registry printer.
+ * @param {SerialPort} port
+ * @param {string} [profile] Printer profile id.
+ * @returns {object}
+ */
+export function serialPrinter(port, profile = DEFAULT_PRINTER_PROFILE) {
+  const key = serialPortKey(port);
+  return {
+    key,
+    name: key.startsWith('serial:bt:') ? 'Bluetooth printer' : `Serial printer ${key.slice(7)}`,
+    profile,
+    transport: 'serial',
+    baudRate: DEFAULT_BAUD_RATE,
+    flowControl: 'none',
+  };
+}
+
+/**
+ * Describes a network printer as a registry printer.
+ * @param {string} host
+ * @param {number} [port=DEFAULT_NETWORK_PORT]
+ * @param {string} [profile] Printer profile id.
+ * @returns {object}
+ */
+export function networkPrinter(host, port = DEFAULT_NETWORK_PORT, profile = DEFAULT_PRINTER_PROFILE) {
+  return {
+    key: networkPrinterKey(host, port),
+    name: `Network printer ${host}`,
+    profile,
+    transport: 'network',
+    host,
+    port,
+    bridgeUrl: DEFAULT_BRIDGE_URL,
+  };
+}
+
+/**
+ * Adds a printer to the registry (or finds it, if already there) and selects it.
+ * @param {{ printers: Array<object>, selectedKey: string|null }} registry
+ * @param {object} printer From usbPrinter, serialPrinter or networkPrinter.
+ * @returns {{ printers: Array<object>, selectedKey: string }} The updated registry.
+ */
+export function addPrinter(registry, printer) {
+  if (registry.printers.some(saved => saved.key === printer.key)) return { ...registry, selectedKey: printer.key };
+  return { printers: [...registry.printers, printer], selectedKey: printer.key };
+}
+
+/**
+ * Finds which printers can be used right now: USB devices and serial ports
+ * that are plugged in and already allowed in this browser (so they print
+ * without a prompt), and network printers the print bridge can reach.
+ * @param {Array<object>} [printers] Saved printers, for the network check.
+ * @returns {Promise<Map<string, USBDevice|SerialPort|true>>} The device or port
+ *   by printer key; network printers map to true.
+ */
+export async function getAvailablePrinters(printers = []) {
+  const available = new Map();
+  if ('usb' in navigator) {
+    (await navigator.usb.getDevices()).forEach(device => available.set(printerKey(device), device));
+  }
+  if ('serial' in navigator) {
+    (await navigator.serial.getPorts()).forEach(port => available.set(serialPortKey(port), port));
+  }
+  const network = printers.filter(printer => printer.transport === 'network');
+  const reachable = await Promise.all(network.map(isNetworkPrinterReachable));
+  network.forEach((printer, index) => reachable[index] && available.set(printer.key, true));
+  return available;
+}
+
+/**
+ * Asks the user to pick a USB printer. Any USB device can be picked, so
+ * printers of every brand (and vendor-class receipt printers) are listed.
+ * @returns {Promise<USBDevice>} Rejects with a NotFoundError when the prompt is dismissed.
+ */
+export function requestUsbPrinter() {
+  return navigator.usb.requestDevice({ filters: [] });
+}
+
+/**
+ * Asks the user to pick a serial port: a COM port, USB-serial adapter or
+ * paired Bluetooth printer.
+ * @returns {Promise<SerialPort>} Rejects with a NotFoundError when the prompt is dismissed.
+ */
+export function requestSerialPrinter() {
+  return navigator.serial.requestPort();
+}
@@ -0,0 +1,177 @@
+// 📁 File: src/printerStatus.js
+
+// ESC/POS status requests. DLE EOT is answered at once, even while the printer
+// is stopped with data waiting in its buffer; GS r is only answered once
+// everything sent before it has printed, which tells when a copy is on paper.
+const DLE_EOT = [0x10, 0x04];
+const PRINTER_STATUS = [...DLE_EOT, 1];
+const OFFLINE_CAUSE = [...DLE_EOT, 2];
+const PAPER_SENSOR = [...DLE_EOT, 4];
+const GS_R_PAPER_SENSOR = [0x1D, 0x72, 1];
+// DLE ENQ 1 recovers from a recoverable error (e.g. a jammed cutter) and
+// carries on printing where it stopped; DLE ENQ 2 recovers and clears the buffers
+const RECOVER_AND_RESTART = [0x10, 0x05, 1];
+const RECOVER_AND_CLEAR = [0x10, 0x05, 2];
+// DLE DC4 fn 8: clears the receive and print buffers
+const CLEAR_BUFFERS = [0x10, 0x14, 0x08, 1, 3, 20, 1, 6, 2, 8];
+
+export const STATUS_POLL_MS = 2000;
+export const IDLE_STATUS_POLL_MS = 10000;
+// A copy not reported printed by then, with no fault either, is taken as printed
+const PRINT_TIMEOUT_MS = 60000;
+
+// DLE EOT replies have bits 1 and 4 set and bits 0 and 7 clear; GS r replies
+// have bits 4 and 7 clear, so the two can be told apart when both are waiting
+const isRealTimeStatus = byte => (byte & 0x93) === 0x12;
+const isTransmittedStatus = byte => (byte & 0x90) === 0;
+
+/**
+ * Whether a printer profile's command set has status requests. Only ESC/POS
+ * printers are asked; Star Line mode and ESC/P printers print unchecked.
+ * @param {object} profile From getPrinterProfile.
+ * @returns {boolean}
+ */
+export function hasStatusRequests(profile) {
+  return profile.dialect === 'escpos';
+}
+
+/**
+ * Reads a GS r 1 reply: bits 0-1 paper near end, bits 2-3 paper end.
+ * @param {number} byte
+ * @returns {object} A status, as from queryPrinterStatus.
+ */
+function paperSensorStatus(byte) {
+  return { online: true, coverOpen: false, paperOut: Boolean(byte & 0x0C), paperNearEnd: Boolean(byte & 0x03), error: false };
+}
+
+/**
+ * Asks an ESC/POS printer for its status.
+ * @param {Function} request The connection's request function (see printerTransports.js).
+ * @returns {Promise<{ online: boolean, coverOpen: boolean, paperOut: boolean,
+ *   paperNearEnd: boolean, error: boolean }|null>} null when the printer does
+ *   not answer, so its status is unknown.
+ */
+export async function queryPrinterStatus(request) {
+  const printer = await request(PRINTER_STATUS, { accept: isRealTimeStatus });
+  if (printer === null) {
+    // Printers without real-time status may still answer GS r when idle
+    const paper = await request(GS_R_PAPER_SENSOR, { accept: isTransmittedStatus });
+    return paper === null ? null : paperSensorStatus(paper);
+  }
+  const offline = (await request(OFFLINE_CAUSE, { accept: isRealTimeStatus })) ?? 0;
+  const paper = (await request(PAPER_SENSOR, { accept: isRealTimeStatus })) ?? 0;
+  return {
+    online: !(printer & 0x08),
+    coverOpen: Boolean(offline & 0x04),
+    paperOut: Boolean(offline & 0x20) || Boolean(paper & 0x60),
+    paperNearEnd: Boolean(paper & 0x0C),
+    error: Boolean(offline & 0x40),
+  };
+}
+
+/**
+ * Whether the printer answers GS r, which waitUntilPrinted relies on. Many
+ * printers answer DLE EOT but ignore GS r; asked while the printer is idle,
+ * one that answers GS r at all does so at once.
+ * @param {Function} request The connection's request function.
+ * @returns {Promise<boolean>}
+ */
+export async function answersPrintedRequest(request) {
+  return (await request(GS_R_PAPER_SENSOR, { accept: isTransmittedStatus })) !== null;
+}
+
+/**
+ * Names the fault that stops a printer from printing.
+ * @param {object|null} status From queryPrinterStatus.
+ * @returns {string|null} e.g. "Paper out", or null when the printer can print
+ *   (or its status is unknown).
+ */
+export function statusFault(status) {
+  if (!status) return null;
+  if (status.coverOpen) return 'Cover open';
+  if (status.paperOut) return 'Paper out';
+  if (status.error) return 'Printer error';
+  if (!status.online) return 'Offline';
+  return null;
+}
+
+/**
+ * Describes a printer status for the status indicator.
+ * @param {object|null|undefined} status From queryPrinterStatus; undefined
+ *   before the printer was asked.
+ * @returns {{ label: string, tone: 'ok'|'warning'|'fault'|'unknown' }}
+ */
+export function describeStatus(status) {
+  if (status === undefined) return { label: 'Not checked', tone: 'unknown' };
+  if (status === null) return { label: 'Status unknown', tone: 'unknown' };
+  const fault = statusFault(status);
+  if (fault) return { label: fault, tone: 'fault' };
+  if (status.paperNearEnd) return { label: 'Paper low', tone: 'warning' };
+  return { label: 'Ready', tone: 'ok' };
+}
+
+/**
+ * Carries out what the operator chose while printing is paused.
+ * - 'resume': recovers from an error the operator has cleared (e.g. a jammed
+ *   cutter); printing carries on from the printer's buffer
+ * - 'cancel': clears the printer's buffers, so the unprinted rest of the
+ *   copy is dropped, and stops printing
+ * @param {Function} request The connection's request function.
+ * @param {'resume'|'cancel'|null} action
+ * @returns {Promise<void>} Rejects after a cancel.
+ */
+async function takeAction(request, action) {
+  if (action === 'resume') await request(RECOVER_AND_RESTART, { timeoutMs: 0 });
+  if (action === 'cancel') {
+    await request(RECOVER_AND_CLEAR, { timeoutMs: 0 });
+    await request(CLEAR_BUFFERS, { timeoutMs: 0 });
+    throw new Error('Printing cancelled; the rest of the copy was cleared from the printer.');
+  }
+}
+
+/**
+ * Waits until the printer can print, asking for its status every
+ * STATUS_POLL_MS while it reports a fault.
+ * @param {Function} request The connection's request function.
+ * @param {object} [options]
+ * @param {(status: object|null) => void} [options.onStatus] Called with every status read.
+ * @param {() => ('resume'|'cancel'|null)} [options.nextAction] The operator's
+ *   latest choice (see takeAction), asked for while the printer is at fault.
+ * @returns {Promise<object|null>} The status the printer was ready with.
+ */
+export async function waitUntilReady(request, { onStatus, nextAction } = {}) {
+  for (;;) {
+    const status = await queryPrinterStatus(request);
+    if (onStatus) onStatus(status);
+    if (!statusFault(status)) return status;
+    await takeAction(request, nextAction ? nextAction() : null);
+    await new Promise(resolve => setTimeout(resolve, STATUS_POLL_MS));
+  }
+}
+
+/**
+ * Waits until everything sent so far has printed, on printers for which
+ * answersPrintedRequest holds. A fault on the way (paper out, cover open)
+ * pauses the wait; the printer keeps the unprinted rest of the copy and
+ * prints it once the fault is cleared, so nothing is sent again.
+ * @param {Function} request The connection's request function.
+ * @param {object} [options] As for waitUntilReady.
+ * @returns {Promise<object|null>} The printer's status once done, or null
+ *   when it does not answer.
+ */
+export async function waitUntilPrinted(request, { onStatus, nextAction } = {}) {
+  let waited = 0;
+  for (;;) {
+    // Every GS r is answered once the data before it has printed; each round
+    // sends one more, as a network printer's answer goes to its own connection
+    const printed = await request(GS_R_PAPER_SENSOR, { accept: isTransmittedStatus, timeoutMs: STATUS_POLL_MS });
+    const status = await queryPrinterStatus(request);
+    if (onStatus) onStatus(status);
+    if (printed !== null || status === null) return status;
+    if (statusFault(status)) {
+      await takeAction(request, nextAction ? nextAction() : null);
+    } else if ((waited += STATUS_POLL_MS) >= PRINT_TIMEOUT_MS) {
+      return status; // Printers that answer DLE EOT but not GS r
+    }
+  }
+}
@@ -0,0 +1,95 @@
+// src/printerStatus.test.js
+
+import { describe, it, expect } from 'vitest';
+import { queryPrinterStatus, answersPrintedRequest, describeStatus, statusFault, waitUntilReady, waitUntilPrinted } from './printerStatus';
+import { createReplyQueue } from './printerTransports';
+
+// A printer that answers each command with a canned byte, as the connection's
+// request function would: only a byte the request accepts counts as its reply
+function fakePrinter(replies) {
+  const sent = [];
+  const request = async (bytes, { accept = () => true } = {}) => {
+    sent.push(bytes.join(','));
+    const reply = replies[bytes.join(',')];
+    return reply !== undefined && accept(reply) ? reply : null;
+  };
+  return { request, sent };
+}
+
+const READY = { '16,4,1': 0x12, '16,4,2': 0x12, '16,4,4': 0x12 };
+
+describe('queryPrinterStatus', () => {
+  it('reads a ready printer', async () => {
+    const status = await queryPrinterStatus(fakePrinter(READY).request);
+    expect(describeStatus(status)).toEqual({ label: 'Ready', tone: 'ok' });
+  });
+
+  it('reads an open cover and paper out from DLE EOT', async () => {
+    const coverOpen = await queryPrinterStatus(fakePrinter({ ...READY, '16,4,1': 0x1A, '16,4,2': 0x16 }).request);
+    expect(statusFault(coverOpen)).toBe('Cover open');
+    expect(coverOpen.online).toBe(false);
+    const paperOut = await queryPrinterStatus(fakePrinter({ ...READY, '16,4,2': 0x32, '16,4,4': 0x72 }).request);
+    expect(statusFault(paperOut)).toBe('Paper out');
+    const paperLow = await queryPrinterStatus(fakePrinter({ ...READY, '16,4,4': 0x1E }).request);
+    expect(describeStatus(paperLow)).toEqual({ label: 'Paper low', tone: 'warning' });
+  });
+
+  it('falls back to GS r when DLE EOT goes unanswered', async () => {
+    const printer = fakePrinter({ '29,114,1': 0x0C });
+    expect(statusFault(await queryPrinterStatus(printer.request))).toBe('Paper out');
+    expect(printer.sent).toEqual(['16,4,1', '29,114,1']);
+    expect(describeStatus(await queryPrinterStatus(fakePrinter({ '29,114,1': 0x03 }).request)).label).toBe('Paper low');
+  });
+
+  it('returns null when the printer does not answer', async () => {
+    expect(await queryPrinterStatus(fakePrinter({}).request)).toBeNull();
+    expect(describeStatus(null)).toEqual({ label: 'Status unknown', tone: 'unknown' });
+  });
+
+  it('does not take a GS r reply for a DLE EOT one, or the other way round', async () => {
+    // 0x00 has bit 4 clear, so it is no DLE EOT reply; 0x12 has it set, so it is no GS r reply
+    expect(await queryPrinterStatus(fakePrinter({ '16,4,1': 0x00 }).request)).toBeNull();
+    expect(await answersPrintedRequest(fakePrinter({ '29,114,1': 0x12 }).request)).toBe(false);
+    expect(await answersPrintedRequest(fakePrinter({ '29,114,1': 0x00 }).request)).toBe(true);
+  });
+});
+
+describe('waiting on the printer', () => {
+  it('clears the buffers and stops when printing is cancelled', async () => {
+    const printer = fakePrinter({ ...READY, '16,4,2': 0x32 });
+    await expect(waitUntilReady(printer.request, { nextAction: () => 'cancel' })).rejects.toThrow('Printing cancelled');
+    expect(printer.sent.slice(-2)).toEqual(['16,5,2', '16,20,8,1,3,20,1,6,2,8']);
+  });
+
+  it('returns once the printer reports the copy printed', async () => {
+    const printer = fakePrinter({ ...READY, '29,114,1': 0x00 });
+    const statuses = [];
+    expect(statusFault(await waitUntilPrinted(printer.request, { onStatus: status => statuses.push(status) }))).toBeNull();
+    expect(statuses).toHaveLength(1);
+  });
+});
+
+describe('createReplyQueue', () => {
+  const isTransmittedStatus = byte => (byte & 0x90) === 0;
+
+  it('drops a stale GS r reply left over from the previous copy', async () => {
+    const queue = createReplyQueue(async () => setTimeout(() => queue.receive(new Uint8Array([0x0C])), 10), true);
+    queue.receive(new Uint8Array([0x00, 0x12])); // Late GS r reply, then a DLE EOT reply
+    expect(await queue.request([0x1D, 0x72, 1], { accept: isTransmittedStatus, timeoutMs: 500 })).toBe(0x0C);
+  });
+
+  it('gives null when no reply comes in time, and keeps asking afterwards', async () => {
+    let answer = false;
+    const queue = createReplyQueue(async () => answer && queue.receive(new Uint8Array([0x12])), true);
+    expect(await queue.request([0x10, 0x04, 1], { timeoutMs: 20 })).toBeNull();
+    answer = true;
+    expect(await queue.request([0x10, 0x04, 1], { timeoutMs: 20 })).toBe(0x12);
+  });
+
+  it('writes without waiting for printers that cannot reply', async () => {
+    const written = [];
+    const queue = createReplyQueue(async bytes => written.push([...bytes]), false);
+    expect(await queue.request([0x10, 0x05, 1])).toBeNull();
+    expect(written).toEqual([[0x10, 0x05, 1]]);
+  });
+});
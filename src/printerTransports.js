@@ -0,0 +1,118 @@
+// 📁 File: src/printerTransports.js
+
+import { sendToPrinter, openPrinter, closePrinter, readFromPrinter } from './usbTransport';
+import { openSerialPrinter, sendToSerialPrinter, closeSerialPrinter } from './serialTransport';
+import { sendToNetworkPrinter, requestFromNetworkPrinter } from './networkTransport';
+import { getAvailablePrinters, requestUsbPrinter, requestSerialPrinter, usbPrinter, serialPrinter } from './printerRegistry';
+
+// How a saved printer is reached
+export const TRANSPORTS = {
+  usb: { label: 'USB', isSupported: () => 'usb' in navigator },
+  serial: { label: 'Serial / Bluetooth', isSupported: () => 'serial' in navigator },
+  network: { label: 'Network (TCP 9100)', isSupported: () => 'fetch' in window },
+};
+
+const REPLY_TIMEOUT_MS = 1000;
+const MAX_KEPT_REPLY_BYTES = 64;
+
+/**
+ * Keeps what a USB or serial printer sends back until a request takes it.
+ * Printers reply one byte per status request, and some replies come late
+ * (GS r waits for printing to finish), so each request picks out the first
+ * byte of the kind it asked for and leaves the others for later requests.
+ * @param {(bytes: Uint8Array) => Promise<unknown>} write Sends bytes to the printer.
+ * @param {boolean} canReply false for printers that cannot send anything back.
+ * @returns {{ receive: (bytes: Uint8Array) => void, request: Function }} receive
+ *   takes incoming bytes; request is the connection's request function.
+ */
+export function createReplyQueue(write, canReply) {
+  let received = [];
+  let wake = null;
+  return {
+    receive(bytes) {
+      received = [...received, ...bytes].slice(-MAX_KEPT_REPLY_BYTES);
+      if (wake) wake();
+    },
+    async request(bytes, { accept = () => true, timeoutMs = REPLY_TIMEOUT_MS } = {}) {
+      // A late reply to an earlier request of this kind is not this request's reply
+      received = received.filter(byte => !accept(byte));
+      await write(new Uint8Array(bytes));
+      const deadline = Date.now() + timeoutMs;
+      while (canReply && Date.now() < deadline) {
+        const index = received.findIndex(accept);
+        if (index !== -1) return received.splice(index, 1)[0];
+        await new Promise(resolve => {
+          wake = resolve;
+          setTimeout(resolve, deadline - Date.now());
+        });
+        wake = null;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Connects to a printer. Every transport gives back the same connection, so
+ * the print loop does not care how the printer is attached:
+ * - send(bytes, { onProgress }): writes one job, resolving when it is delivered
+ * - request(bytes, { accept, timeoutMs }): sends a short command and resolves
+ *   with the first reply byte `accept` takes, or null when none came within
+ *   `timeoutMs` (commands without a reply use timeoutMs 0)
+ * - close(): releases the printer
+ * A USB or serial printer that is not plugged in and allowed yet is picked in
+ * the browser's device prompt; with no printer at all, a USB printer is.
+ * @param {object|undefined} printer The saved printer (see printerRegistry.js).
+ * @param {string} profile Printer profile id for a newly picked printer.
+ * @returns {Promise<{ printer: object, send: Function, request: Function, close: Function }>} The
+ *   connection, with the printer it reached (a new registry entry when picked).
+ */
+export async function connectPrinter(printer, profile) {
+  const transport = printer ? printer.transport || 'usb' : 'usb';
+  if (!TRANSPORTS[transport].isSupported()) {
+    throw new Error(`${TRANSPORTS[transport].label} printing is not supported in this browser.`);
+  }
+
+  if (transport === 'network') {
+    return {
+      printer,
+      send: (bytes, options) => sendToNetworkPrinter(printer, bytes, options),
+      request: async (bytes, { accept = () => true, timeoutMs = REPLY_TIMEOUT_MS } = {}) => {
+        const reply = await requestFromNetworkPrinter(printer, new Uint8Array(bytes), timeoutMs);
+        return reply ? reply.find(accept) ?? null : null;
+      },
+      close: async () => {},
+    };
+  }
+
+  const available = await getAvailablePrinters();
+  if (transport === 'serial') {
+    const port = available.get(printer.key) || await requestSerialPrinter();
+    const replies = createReplyQueue(bytes => connection.writer.write(bytes), true);
+    const connection = await openSerialPrinter(port, {
+      baudRate: Number(printer.baudRate),
+      flowControl: printer.flowControl,
+      onData: replies.receive,
+    });
+    const picked = serialPrinter(port, profile);
+    return {
+      printer: printer.key === picked.key ? printer : picked,
+      send: (bytes, options) => sendToSerialPrinter(connection.writer, bytes, options),
+      request: replies.request,
+      close: () => closeSerialPrinter(connection),
+    };
+  }
+
+  const device = (printer && available.get(printer.key)) || await requestUsbPrinter();
+  // Finds the print interface and its OUT endpoint
+  const connection = await openPrinter(device);
+  const picked = usbPrinter(device, profile);
+  const replies = createReplyQueue(bytes => device.transferOut(connection.endpoint.endpointNumber, bytes), Boolean(connection.inEndpoint));
+  readFromPrinter(connection, replies.receive);
+  return {
+    printer: printer && printer.key === picked.key ? printer : picked,
+    send: (bytes, options) => sendToPrinter(device, connection.endpoint, bytes, options),
+    request: replies.request,
+    close: () => closePrinter(connection),
+  };
+}
@@ -0,0 +1,76 @@
+// 📁 File: src/rasterText.js
+
+import { FONT_HEIGHTS } from './printerProfiles';
+
+export const DEFAULT_RASTER_FONT = "'Nirmala UI', 'Noto Sans', sans-serif";
+
+// Runs of plain ASCII are drawn one character per cell, like the printer's own font
+const ASCII_RUN = /^[\x20-\x7E]+$/;
+
+/**
+ * Draws a layout text line on a canvas the size of one printed line, so text
+ * the printer's fonts cannot print (Hindi, Gujarati, Tamil...) goes out as an
+ * image. Every run of non-space characters starts at the column it would have
+ * in the printer's font, keeping table columns lined up; a run wider than its
+ * room is squeezed to fit.
+ * @param {object} line A text line from buildReceiptLayout.
+ * @param {object} profile The resolved printer profile (see getPrinterProfile).
+ * @param {string} [fontFamily] CSS font family for non-ASCII text.
+ * @returns {{ width: number, height: number, isDark: (x: number, y: number) => boolean }|null}
+ *   The line in printer dots, or null when no canvas is available.
+ */
+export function rasterizeTextLine(line, profile, fontFamily = DEFAULT_RASTER_FONT) {
+  const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+  const ctx = canvas && canvas.getContext('2d');
+  if (!ctx) return null;
+
+  const scale = line.size === 'double' ? 2 : 1;
+  const cellWidth = Math.floor(profile.dotsPerLine / profile.charsPerLine) * scale;
+  const cellHeight = (profile.fontHeights || FONT_HEIGHTS)[profile.font] * scale;
+  const width = profile.dotsPerLine;
+  const height = Math.max(Math.round(profile.dpi / 6), Math.round(cellHeight * 1.4));
+  canvas.width = width;
+  canvas.height = height;
+
+  const chars = line.segments.flatMap(segment => segment.text.split('').map(char => ({ char, bold: segment.bold })));
+  const used = chars.length * cellWidth;
+  const offset = line.align === 'center' ? Math.floor((width - used) / 2) : line.align === 'right' ? width - used : 0;
+
+  // Split into runs of non-space characters, remembering each run's column
+  const runs = [];
+  chars.forEach(({ char, bold }, column) => {
+    if (char === ' ') return;
+    const last = runs[runs.length - 1];
+    if (last && last.column + last.text.length === column) {
+      last.text += char;
+    } else {
+      runs.push({ column, text: char, bold });
+    }
+  });
+
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'middle';
+  const middle = height / 2;
+  runs.forEach((run, index) => {
+    const x = Math.max(0, offset + run.column * cellWidth);
+    const weight = run.bold ? 'bold ' : '';
+    if (ASCII_RUN.test(run.text)) {
+      ctx.font = `${weight}${cellHeight}px monospace`;
+      ctx.textAlign = 'center';
+      run.text.split('').forEach((char, i) => ctx.fillText(char, x + (i + 0.5) * cellWidth, middle, cellWidth));
+      return;
+    }
+    const next = runs[index + 1];
+    const room = (next ? offset + next.column * cellWidth - cellWidth : width) - x;
+    ctx.font = `${weight}${cellHeight}px ${fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(run.text, x, middle, Math.max(room, cellWidth));
+  });
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  return {
+    width,
+    height,
+    isDark: (x, y) => data[(y * width + x) * 4 + 3] >= 128, // Opaque enough to print
+  };
+}
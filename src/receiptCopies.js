@@ -0,0 +1,46 @@
+// 📁 File: src/receiptCopies.js
+
+/**
+ * Per-copy variations, in copy order. Each copy can carry a label (printed by
+ * the "Copy Label" receipt section) and leave out prices, e.g. for the
+ * transporter. Copies past the configured ones print as EXTRA COPY.
+ * - label: printed caption, e.g. "ORIGINAL FOR RECIPIENT"
+ * - hidePrices: leave out the rate, discount and amount columns, the totals,
+ *   the tax summary, the amount in words and the payment QR
+ */
+export const DEFAULT_COPIES = [
+  { label: 'ORIGINAL FOR RECIPIENT', hidePrices: false },
+  { label: 'DUPLICATE FOR TRANSPORTER', hidePrices: false },
+  { label: 'TRIPLICATE FOR SUPPLIER', hidePrices: false },
+];
+
+const EXTRA_COPY = { label: 'EXTRA COPY', hidePrices: false };
+
+// What hidePrices leaves out
+export const PRICE_COLUMNS = ['rate', 'discount', 'amount'];
+export const PRICE_SECTIONS = ['totals', 'taxSummary', 'amountInWords', 'upiQr'];
+
+/**
+ * Fills in saved copies: every default copy is present and missing fields
+ * take their defaults.
+ * @param {Array<object>} [copies]
+ * @returns {Array<object>} At least the default copies, each with `label` and `hidePrices`.
+ */
+export function normalizeCopies(copies) {
+  const saved = Array.isArray(copies) ? copies : [];
+  const count = Math.max(saved.length, DEFAULT_COPIES.length);
+  return Array.from({ length: count }, (_, index) => {
+    const copy = { ...(DEFAULT_COPIES[index] || EXTRA_COPY), ...(saved[index] || {}) };
+    return { label: String(copy.label ?? ''), hidePrices: Boolean(copy.hidePrices) };
+  });
+}
+
+/**
+ * Picks the variation for one copy of a voucher.
+ * @param {object} settings User print settings (`copies`).
+ * @param {number} [index=0] The copy, counting from 0.
+ * @returns {{ label: string, hidePrices: boolean }}
+ */
+export function getCopy(settings, index = 0) {
+  return normalizeCopies(settings.copies)[index] || EXTRA_COPY;
+}
@@ -0,0 +1,600 @@
+// 📁 File: src/receiptLayout.js
+
+import amountInWords from './utils/amountInWords';
+import { getPrinterProfile } from './printerProfiles';
+import { getReceiptTemplate } from './receiptTemplate';
+import { getJobActions } from './jobActions';
+import { getCopy, PRICE_COLUMNS, PRICE_SECTIONS } from './receiptCopies';
+import { qrModules, code128Text, code128Widths } from './utils/barcodes';
+import { buildItemTable, wrapWords } from './receiptTable';
+
+/**
+ * Builds a UPI payment link for the voucher total. Every value is
+ * percent-encoded so the link is plain ASCII for the QR code.
+ * @param {string} upiId Payee VPA, e.g. "shop@okbank".
+ * @param {object} xmlData The parsed voucher.
+ * @returns {string} e.g. "upi://pay?pa=shop%40okbank&pn=Acme&am=1652.00&cu=INR&tn=INV%2F7"
+ */
+function buildUpiLink(upiId, xmlData) {
+  const params = [
+    ['pa', upiId.trim()],
+    ['pn', xmlData.company.name],
+    ['am', parseFloat(xmlData.totals.total).toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', xmlData.order.number],
+  ].filter(([, value]) => value);
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+/**
+ * Lays out a voucher as the lines of a thermal receipt. The layout is built
+ * once and rendered twice: as printer commands by generateEscPosCommands and
+ * on screen by PrintPreview, so the preview shows exactly what prints.
+ *
+ * Layout lines are one of:
+ * - { type: 'text', align, size: 'normal'|'double', segments: [{ text, bold }] }
+ * - { type: 'image', url, width (in dots), align }
+ * - { type: 'qr', data, modules (boolean rows), moduleSize (in dots), align }
+ * - { type: 'barcode', data, widths (Code 128 bars/spaces), moduleWidth, height (in dots), align }
+ * - { type: 'feed', lines }
+ * - { type: 'cut', partial }
+ * - { type: 'drawer', pin, onMs, offMs }
+ * - { type: 'beep', count, durationMs }
+ *
+ * @param {object} xmlData - The parsed Tally XML data.
+ * @param {object} settings - User-defined print settings.
+ * @param {object} [job] - Which copy this is and where it falls in the print job.
+ * @param {number} [job.copy=0] - The copy, counting from 0, for its label and variations (see receiptCopies.js).
+ * @param {number} [job.copyCount=1] - Copies of the voucher being printed; a single copy prints no copy label.
+ * @param {boolean} [job.lastCopy=true] - The voucher's last copy: kick the drawer and beep.
+ * @param {boolean} [job.lastInBatch=true] - The batch's last copy: cut when cutting per batch.
+ * @returns {{ profile: object, width: number, lines: Array<object> }} The printer
+ *   profile, the characters per line and the receipt lines.
+ */
+export default function buildReceiptLayout(xmlData, settings, { copy = 0, copyCount = 1, lastCopy = true, lastInBatch = true } = {}) {
+  const profile = getPrinterProfile(settings);
+  const copyVariant = getCopy(settings, copy);
+  const lines = [];
+
+  // Current text style, applied to whatever is printed next
+  let alignment = 'left';
+  let bold = false;
+  let doubleSize = false;
+  let pendingSegments = []; // Text printed on the current line so far
+
+  // --- Helper Functions for Formatting ---
+
+  /**
+   * Sets text alignment.
+   * @param {'left'|'center'|'right'} align
+   */
+  function setAlignment(align) {
+    alignment = align || 'left';
+  }
+
+  /**
+   * Sets bold mode.
+   * @param {boolean} enable
+   */
+  function setBold(enable) {
+    bold = Boolean(enable);
+  }
+
+  /**
+   * Sets double height/width.
+   * @param {boolean} enable
+   */
+  function setDoubleSize(enable) {
+    doubleSize = Boolean(enable);
+  }
+
+  /**
+   * Prints text without ending the line.
+   * @param {string} text
+   */
+  function printText(text) {
+    pendingSegments.push({ text, bold });
+  }
+
+  /**
+   * Prints text and ends the line. Embedded newlines start new lines.
+   * @param {string} text
+   */
+  function printLine(text) {
+    String(text).split('\n').forEach(part => {
+      printText(part);
+      lines.push({ type: 'text', align: alignment, size: doubleSize ? 'double' : 'normal', segments: pendingSegments });
+      pendingSegments = [];
+    });
+  }
+
+  /**
+   * Prints a line made of differently styled parts, e.g. a table row.
+   * @param {Array<{ text: string, bold: boolean }>} segments
+   */
+  function printSegments(segments) {
+    segments.forEach(segment => {
+      setBold(segment.bold);
+      printText(segment.text);
+    });
+    printLine("");
+    setBold(false);
+  }
+
+  /**
+   * Prints a separator line.
+   * @param {string} char The character to repeat.
+   * @param {number} width The approximate width of the thermal paper (e.g., 32 or 48 characters).
+   */
+  function printSeparator(char, width = 32) {
+    printLine(char.repeat(width));
+  }
+
+  // --- Define consistent print width ---
+  const TOTAL_RECEIPT_WIDTH = profile.charsPerLine; // Characters per line for the selected printer profile and font
+
+  // --- Receipt Sections ---
+  // Each section of the receipt template has a builder below; `style` is the
+  // template section (label, alignment, bold and size, see receiptTemplate.js).
+
+  /**
+   * Prints the grand total line in the totals section style.
+   * @param {object} style The totals template section.
+   */
+  function printTotalLine(style) {
+    setBold(style.bold);
+    setDoubleSize(style.size === 'double');
+    printLine(`${style.label}: Rs. ${xmlData.totals.total || '0.00'}`);
+    setDoubleSize(false);
+    setBold(false);
+  }
+
+  // 0. Logo (if provided)
+  function renderLogo(style) {
+    if (!settings.logoUrl) return;
+    // Rasterised by the renderer across the full printable width of the profile
+    lines.push({ type: 'image', url: settings.logoUrl, width: profile.dotsPerLine, align: style.align });
+    printLine(""); // Add a line break after logo
+  }
+
+  // 1. Company Header
+  function renderHeader(style) {
+    setAlignment(style.align);
+    setBold(style.bold);
+    setDoubleSize(style.size === 'double');
+    if (xmlData.company.name) {
+      // For double-sized text, characters are 2x wider, so half as many fit on a line.
+      const charsPerLine = style.size === 'double' ? Math.floor(TOTAL_RECEIPT_WIDTH / 2) : TOTAL_RECEIPT_WIDTH;
+      wrapWords(xmlData.company.name, charsPerLine).forEach(line => printLine(line));
+    }
+    setDoubleSize(false);
+    setBold(false);
+
+    if (xmlData.company.address) {
+      xmlData.company.address.split('\n').forEach(line => printLine(line));
+    }
+    if (xmlData.company.phone) {
+      printLine(xmlData.company.phone);
+    }
+    if (xmlData.company.gstin) {
+      printLine(`GSTIN: ${xmlData.company.gstin}`);
+    }
+    printLine("");
+  }
+
+  // 2. Invoice Type (Heading from parseTallyXML unless the template relabels it)
+  function renderHeading(style) {
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator BEFORE heading
+    setAlignment(style.align);
+    setBold(style.bold);
+    setDoubleSize(style.size === 'double');
+    const heading = style.label || xmlData.heading;
+    if (heading) {
+      printLine(heading);
+    }
+    setDoubleSize(false);
+    setBold(false);
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator AFTER heading
+    printLine("");
+  }
+
+  // 2a. Copy label, e.g. "ORIGINAL FOR RECIPIENT"
+  function renderCopyLabel(style) {
+    if (!copyVariant.label || copyCount < 2) return;
+    setAlignment(style.align);
+    setBold(style.bold);
+    wrapWords(copyVariant.label, TOTAL_RECEIPT_WIDTH).forEach(line => printLine(line));
+    setBold(false);
+    printLine("");
+  }
+
+  // 3. Order Details
+  function renderOrderInfo(style) {
+    setAlignment('left');
+    [
+      [style.labels.number, xmlData.order.number],
+      [style.labels.date, xmlData.order.date],
+      [style.labels.user, xmlData.order.user],
+    ].forEach(([label, value]) => {
+      setBold(settings.sectionStyles.orderInfo.labelBold);
+      printText(`${label}: `);
+      setBold(settings.sectionStyles.orderInfo.valueBold);
+      printLine(`${value || ''}`);
+    });
+    setBold(false);
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator AFTER Entered By
+    printLine("");
+  }
+
+  // 4. Party Details
+  function renderParty(style) {
+    if (!xmlData.party.name) return;
+    setAlignment(style.align);
+    setBold(style.bold);
+    printLine(`${style.label}:`);
+    setBold(false);
+    printLine(xmlData.party.name);
+    if (xmlData.party.address) {
+      xmlData.party.address.split('\n').forEach(line => printLine(line));
+    }
+    if (xmlData.party.gstin) {
+      printLine(`GSTIN: ${xmlData.party.gstin}`);
+    }
+    printLine("");
+  }
+
+  // 5-6. Items table, or the particulars of ledger-only vouchers
+  // (receipts, payments, journals, credit/debit notes)
+  function renderItems(style) {
+    if (xmlData.layout === 'ledger') {
+      const SIDE_AMOUNT_COL_WIDTH = 16; // "Dr  1,23,456.00"
+      const PARTICULARS_COL_WIDTH = TOTAL_RECEIPT_WIDTH - SIDE_AMOUNT_COL_WIDTH;
+      const LEDGER_DETAIL_INDENT = '  ';
+
+      printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+      setAlignment('left');
+      setBold(style.bold);
+      printLine(`${'Particulars'.padEnd(PARTICULARS_COL_WIDTH)}${'Amount'.padStart(SIDE_AMOUNT_COL_WIDTH)}`);
+      setBold(false);
+      printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+
+      (xmlData.ledgers || []).forEach(ledger => {
+        const sideAmount = `${ledger.side}  ${ledger.amount}`.padStart(SIDE_AMOUNT_COL_WIDTH);
+        setBold(true);
+        wrapWords(ledger.name, PARTICULARS_COL_WIDTH - 1).forEach((line, index) => {
+          printLine(index === 0 ? `${line.padEnd(PARTICULARS_COL_WIDTH)}${sideAmount}` : line);
+        });
+        setBold(false);
+
+        // Bill-wise references (Agst Ref, New Ref, Advance, On Account)
+        ledger.bills.forEach(bill => {
+          const billText = `${bill.type}${bill.name ? `: ${bill.name}` : ''}`;
+          wrapWords(billText, PARTICULARS_COL_WIDTH - LEDGER_DETAIL_INDENT.length - 1).forEach((line, index) => {
+            const particulars = `${LEDGER_DETAIL_INDENT}${line}`;
+            printLine(index === 0 ? `${particulars.padEnd(PARTICULARS_COL_WIDTH)}${bill.amount.padStart(SIDE_AMOUNT_COL_WIDTH)}` : particulars);
+          });
+        });
+
+        // Bank / instrument details
+        if (ledger.bank) {
+          const { transactionType, instrumentNumber, instrumentDate, bankName, favouring, reference } = ledger.bank;
+          const instrument = [transactionType, instrumentNumber && `No. ${instrumentNumber}`, instrumentDate && `dt. ${instrumentDate}`]
+            .filter(Boolean)
+            .join(' ');
+          const printDetail = (text) => wrapWords(text, TOTAL_RECEIPT_WIDTH - LEDGER_DETAIL_INDENT.length)
+            .forEach(line => printLine(`${LEDGER_DETAIL_INDENT}${line}`));
+          if (instrument) printDetail(instrument);
+          if (bankName) printDetail(`Bank: ${bankName}`);
+          if (favouring) printDetail(`Favouring: ${favouring}`);
+          if (reference) printDetail(`Ref: ${reference}`);
+        }
+      });
+      return;
+    }
+
+    const DETAIL_LINE_INDENT = 4; // Indent for HSN, alternate quantity and godown lines
+    // Items List (one block per section, e.g. both sides of a Stock Journal)
+    const sections = xmlData.sections || [{ title: '', items: xmlData.items || [] }];
+    // Column widths are fitted once for the whole voucher so every section lines up
+    const tableItems = sections.flatMap(section => section.items);
+    // Copies without prices drop the price columns
+    const columns = copyVariant.hidePrices
+      ? style.columns.map(column => (PRICE_COLUMNS.includes(column.id) ? { ...column, visible: false } : column))
+      : style.columns;
+    const table = buildItemTable(tableItems, columns, TOTAL_RECEIPT_WIDTH, style.rowLayout);
+
+    // Print Header
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+    setAlignment('left');
+    table.header.forEach(line => printSegments(line.map(segment => ({ ...segment, bold: style.bold }))));
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+
+    if (xmlData.items && xmlData.items.length > 0) {
+      sections.forEach(section => {
+        if (section.title) {
+          setAlignment('center');
+          setBold(true);
+          printLine(section.title.toUpperCase());
+          setBold(false);
+          setAlignment('left');
+          printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+        }
+
+        section.items.forEach(item => {
+          table.rows[tableItems.indexOf(item)].forEach(printSegments);
+
+          // HSN/SAC (unless it has a column) and GST rate, when the item carries them
+          const hsnInTable = columns.some(column => column.id === 'hsn' && column.visible);
+          const gstParts = [];
+          if (item.hsn && !hsnInTable) gstParts.push(`HSN: ${item.hsn}`);
+          if (item.gstRate) gstParts.push(`GST: ${item.gstRate}%`);
+          if (gstParts.length > 0) {
+            printLine(`${' '.repeat(DETAIL_LINE_INDENT)}${gstParts.join('  ')}`);
+          }
+
+          // Alternate unit and billed quantity, when they differ from the actual quantity
+          const qtyNotes = [];
+          if (item.altQty) qtyNotes.push(`(= ${item.altQty} ${item.altUnit})`);
+          if (item.billedQty && parseFloat(item.billedQty) !== parseFloat(item.qty)) {
+            qtyNotes.push(`Billed: ${item.billedQty} ${item.unit || ''}`.trim());
+          }
+          if (qtyNotes.length > 0) {
+            printLine(`${' '.repeat(DETAIL_LINE_INDENT)}${qtyNotes.join('  ')}`);
+          }
+
+          // Godown / batch / expiry for pickers working from challans
+          (item.allocations || []).forEach(allocation => {
+            const allocationParts = [];
+            if (allocation.godown) allocationParts.push(`Godown: ${allocation.godown}`);
+            if (allocation.batch) allocationParts.push(`Batch: ${allocation.batch}`);
+            if (allocation.expiry) allocationParts.push(`Exp: ${allocation.expiry}`);
+            if (item.allocations.length > 1) allocationParts.push(`Qty: ${allocation.qty} ${item.unit || ''}`.trim());
+            // Keep each part whole, starting a new line when the next one would overflow
+            const indent = ' '.repeat(DETAIL_LINE_INDENT);
+            let line = '';
+            allocationParts.forEach((part, partIndex) => {
+              const candidate = line ? `${line} / ${part}` : part;
+              const continues = partIndex < allocationParts.length - 1; // May still need a trailing " /"
+              if (line && indent.length + candidate.length + (continues ? 2 : 0) > TOTAL_RECEIPT_WIDTH) {
+                printLine(`${indent}${line} /`);
+                line = part;
+              } else {
+                line = candidate;
+              }
+            });
+            if (line) printLine(`${indent}${line}`);
+          });
+          printLine(""); // Spacing after each item block
+        });
+
+        if (section.title) {
+          setAlignment('right');
+          setBold(true);
+          wrapWords(`${section.title} Total: ${section.subtotal}`, TOTAL_RECEIPT_WIDTH).forEach(line => printLine(line));
+          setBold(false);
+          setAlignment('left');
+          printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+        }
+      });
+    } else {
+      printLine("No items found.");
+    }
+    printLine(""); // Spacing after items
+  }
+
+  // 7. Totals
+  function renderTotals(style) {
+    if (xmlData.layout === 'ledger') {
+      printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+      setAlignment(style.align);
+      printTotalLine(style);
+      printLine("");
+      return;
+    }
+
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+    setAlignment(style.align);
+    printLine(`Sub Total: ${xmlData.totals.subtotal || '0.00'}`);
+    if (parseFloat(xmlData.totals.cgst) > 0) printLine(`CGST: ${xmlData.totals.cgst}`);
+    if (parseFloat(xmlData.totals.sgst) > 0) printLine(`SGST: ${xmlData.totals.sgst}`);
+    if (parseFloat(xmlData.totals.igst) > 0) printLine(`IGST: ${xmlData.totals.igst}`);
+    if (parseFloat(xmlData.totals.cess) > 0) printLine(`Cess: ${xmlData.totals.cess}`);
+    // Additional ledgers: freight, packing, TCS, discounts, round-off...
+    (xmlData.charges || []).forEach(charge => {
+      printLine(`${charge.name}: ${charge.sign === '-' ? '-' : ''}${charge.amount}`);
+    });
+
+    printTotalLine(style);
+    printLine("");
+  }
+
+  // 7a. HSN-wise tax summary (required on GST tax invoices)
+  function renderTaxSummary(style) {
+    if (xmlData.layout !== 'ledger' && xmlData.taxSummary && xmlData.taxSummary.length > 0) {
+      const interState = xmlData.taxSummary.some(row => parseFloat(row.igst) > 0);
+      // HSN, Rate and Taxable columns; the rest is split between the tax columns
+      const HSN_COL_WIDTH = 8;
+      const RATE_COL_WIDTH = 5;
+      const TAXABLE_COL_WIDTH = 9;
+      const MIN_TAX_COL_WIDTH = 7; // "1234.56"
+      const taxColumns = interState ? ['igst'] : ['cgst', 'sgst'];
+      const taxColWidth = (hsnWidth) => Math.floor(
+        (TOTAL_RECEIPT_WIDTH - hsnWidth - RATE_COL_WIDTH - TAXABLE_COL_WIDTH - 1 - taxColumns.length) / taxColumns.length
+      );
+      // On narrow paper the HSN code gets a line of its own above the figures
+      const hsnOnOwnLine = taxColWidth(HSN_COL_WIDTH + 1) < MIN_TAX_COL_WIDTH;
+      const TAX_COL_WIDTH = taxColWidth(hsnOnOwnLine ? 0 : HSN_COL_WIDTH + 1);
+      const formatRow = (hsn, rate, taxable, taxes) => {
+        const figures =
+          `${rate.padStart(RATE_COL_WIDTH)} ` +
+          `${taxable.padStart(TAXABLE_COL_WIDTH)}` +
+          taxes.map(tax => ` ${tax.padStart(TAX_COL_WIDTH)}`).join('');
+        return hsnOnOwnLine
+          ? `${hsn}\n${figures}`
+          : `${hsn.substring(0, HSN_COL_WIDTH).padEnd(HSN_COL_WIDTH)} ${figures}`;
+      };
+
+      printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+      setAlignment('left');
+      setBold(style.bold);
+      printLine(formatRow('HSN/SAC', 'Rate', 'Taxable', taxColumns.map(col => col.toUpperCase())));
+      setBold(false);
+      xmlData.taxSummary.forEach(row => {
+        printLine(formatRow(row.hsn || '-', `${row.rate}%`, row.taxable, taxColumns.map(col => row[col])));
+      });
+      const sumColumn = (col) => xmlData.taxSummary
+        .reduce((sum, row) => sum + parseFloat(row[col] || 0), 0)
+        .toFixed(2);
+      setBold(style.bold);
+      printLine(formatRow('Total', '', sumColumn('taxable'), taxColumns.map(sumColumn)));
+      setBold(false);
+      printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+      printLine("");
+    }
+  }
+
+  // 8. Amount in Words (English unless another wording is chosen in settings)
+  function renderAmountInWords(style) {
+    const totalInWords = settings.amountInWordsLanguage && settings.amountInWordsLanguage !== 'en'
+      ? amountInWords(xmlData.totals.total, settings.amountInWordsLanguage)
+      : xmlData.amountInWords;
+    if (!totalInWords) return;
+    setAlignment(style.align);
+    printLine(`${style.label}:`);
+    setBold(style.bold);
+    // Wrap at word boundaries so no word is split across lines
+    wrapWords(totalInWords, TOTAL_RECEIPT_WIDTH).forEach(line => printLine(line));
+    setBold(false);
+    printLine("");
+  }
+
+  // 9. Narration (Remarks)
+  function renderNarration(style) {
+    if (!xmlData.narration) return;
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+    setAlignment(style.align);
+    setBold(style.bold);
+    printLine(`${style.label}:`);
+    setBold(false);
+    setAlignment('left'); // Reset to left for narration content
+    // Wrap at word boundaries so no word is split across lines
+    wrapWords(xmlData.narration, TOTAL_RECEIPT_WIDTH).forEach(line => printLine(line));
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH); // Separator AFTER Remarks content
+    printLine("");
+  }
+
+  // 10. Terms and Conditions
+  function renderTerms(style) {
+    if (!xmlData.termsAndConditions) return;
+    printSeparator(settings.lineSeparator || '-', TOTAL_RECEIPT_WIDTH);
+    setAlignment(style.align);
+    setBold(style.bold);
+    printLine(`${style.label}:`);
+    setBold(false);
+    setAlignment('left');
+    wrapWords(xmlData.termsAndConditions, TOTAL_RECEIPT_WIDTH).forEach(line => printLine(line));
+    printLine("");
+  }
+
+  // 11. Authorized Signatory
+  function renderSignatory(style) {
+    if (!xmlData.authorizedSignatory) return;
+    setAlignment(style.align);
+    printLine("");
+    printLine("");
+    setBold(style.bold);
+    printLine(xmlData.authorizedSignatory);
+    setBold(false);
+    printLine("");
+  }
+
+  // 11a. UPI payment QR code for the voucher total
+  function renderUpiQr(style) {
+    if (!settings.upiId || !(parseFloat(xmlData.totals.total) > 0)) return;
+    const data = buildUpiLink(settings.upiId, xmlData);
+    const modules = qrModules(data);
+    setAlignment(style.align);
+    if (style.label) printLine(style.label);
+    lines.push({
+      type: 'qr',
+      data,
+      modules,
+      // About half the paper width, within what printers accept for GS ( k
+      moduleSize: Math.min(8, Math.max(2, Math.floor(profile.dotsPerLine / 2 / modules.length))),
+      align: style.align,
+    });
+    printLine("");
+  }
+
+  // 11b. Voucher number barcode (Code 128) for dispatch scanning
+  function renderBarcode(style) {
+    const data = code128Text(xmlData.order.number);
+    if (!data) return;
+    const widths = code128Widths(data);
+    const QUIET_ZONE_MODULES = 20; // 10 on each side
+    const totalModules = widths.reduce((sum, width) => sum + width, 0) + QUIET_ZONE_MODULES;
+    setAlignment(style.align);
+    if (totalModules > profile.dotsPerLine) {
+      // Too long to scan at one dot per module; print the number instead
+      printLine(data);
+    } else {
+      const moduleWidth = totalModules * 2 <= profile.dotsPerLine ? 2 : 1;
+      lines.push({ type: 'barcode', data, widths, moduleWidth, height: 80, align: style.align });
+    }
+    printLine("");
+  }
+
+  // 12. Thank you message
+  function renderThankYou(style) {
+    if (!style.label) return;
+    setAlignment(style.align);
+    setBold(style.bold);
+    setDoubleSize(style.size === 'double');
+    printLine(style.label);
+    setDoubleSize(false);
+    setBold(false);
+    printLine("");
+  }
+
+  const SECTION_RENDERERS = {
+    logo: renderLogo,
+    header: renderHeader,
+    heading: renderHeading,
+    copyLabel: renderCopyLabel,
+    orderInfo: renderOrderInfo,
+    party: renderParty,
+    items: renderItems,
+    totals: renderTotals,
+    taxSummary: renderTaxSummary,
+    amountInWords: renderAmountInWords,
+    narration: renderNarration,
+    terms: renderTerms,
+    signatory: renderSignatory,
+    upiQr: renderUpiQr,
+    barcode: renderBarcode,
+    thankYou: renderThankYou,
+  };
+
+  // --- Build the Layout ---
+  for (const section of getReceiptTemplate(settings, xmlData)) {
+    if (section.visible && !(copyVariant.hidePrices && PRICE_SECTIONS.includes(section.id))) {
+      SECTION_RENDERERS[section.id](section);
+    }
+  }
+
+  // --- End of Job ---
+  const actions = getJobActions(settings, xmlData);
+  // Extra line feeds at the end for paper to come out, then the cut
+  if (actions.feedLines > 0) lines.push({ type: 'feed', lines: actions.feedLines });
+  if (actions.cut !== 'none' && (actions.cutAfter === 'copy' || lastInBatch)) {
+    lines.push({ type: 'cut', partial: actions.cut === 'partial' });
+  }
+  if (actions.drawer && lastCopy) {
+    lines.push({ type: 'drawer', pin: actions.drawerPin, onMs: actions.drawerOnMs, offMs: actions.drawerOffMs });
+  }
+  if (actions.beep && lastCopy) {
+    lines.push({ type: 'beep', count: actions.beepCount, durationMs: actions.beepMs });
+  }
+
+  return { profile, width: TOTAL_RECEIPT_WIDTH, lines };
+}
@@ -0,0 +1,232 @@
+// 📁 File: src/receiptTable.js
+
+/**
+ * Wraps text at word boundaries. Words longer than a line are split, and
+ * embedded newlines are kept.
+ * @param {string} text
+ * @param {number} width Characters per line; less than 1 wraps after every character.
+ * @returns {string[]} The wrapped lines (at least one, possibly empty).
+ */
+export function wrapWords(text, width) {
+  width = Math.max(1, width);
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        // A word longer than the line takes what is left of it, then whole lines
+        const room = line ? width - line.length - 1 : width;
+        if (room <= 0) {
+          lines.push(line);
+          line = '';
+          continue;
+        }
+        lines.push(line ? `${line} ${word.substring(0, room)}` : word.substring(0, room));
+        line = '';
+        word = word.substring(room);
+      }
+      if (line && line.length + word.length + 1 > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Columns the items table can show. `width` is the preferred width in
+ * characters (the item name column fills whatever is left); a column is
+ * narrowed toward its longest value when the paper is too narrow, and never
+ * cuts a value short. Optional columns are left out of vouchers where no item
+ * has a value for them.
+ */
+export const ITEM_COLUMNS = {
+  sno: { name: 'S.No', value: item => String(item.sNo ?? '') },
+  name: { name: 'Item', value: item => item.name || '' },
+  hsn: { name: 'HSN/SAC', optional: true, value: item => item.hsn || '' },
+  qty: { name: 'Qty', value: item => item.qty || '' },
+  unit: { name: 'Unit', optional: true, value: item => item.unit || '' },
+  // "120.00/Box": the rate unit can differ from the billed unit
+  rate: { name: 'Rate', value: item => (item.rate && item.rateUnit ? `${item.rate}/${item.rateUnit}` : item.rate || '') },
+  discount: { name: 'Disc %', optional: true, value: item => (item.discount ? `${item.discount}%` : '') },
+  amount: { name: 'Amount', value: item => item.amount || '' },
+};
+
+// Default columns in print order
+export const DEFAULT_ITEM_COLUMNS = [
+  { id: 'sno', visible: true, label: 'S.No', width: 4, align: 'left' },
+  { id: 'name', visible: true, label: 'Item', width: 0, align: 'left' },
+  { id: 'hsn', visible: false, label: 'HSN', width: 8, align: 'left' },
+  { id: 'qty', visible: true, label: 'Qty', width: 5, align: 'right' },
+  { id: 'unit', visible: true, label: 'Unit', width: 4, align: 'left' },
+  { id: 'rate', visible: true, label: 'Rate', width: 8, align: 'right' },
+  { id: 'discount', visible: true, label: 'Disc', width: 5, align: 'right' },
+  { id: 'amount', visible: true, label: 'Amount', width: 9, align: 'right' },
+];
+
+const MIN_NAME_WIDTH = 10; // Narrower than this, single-line rows switch to two lines
+
+/**
+ * Fills in a saved column list: unknown and duplicate columns are dropped,
+ * missing fields take their defaults and missing columns are appended.
+ * @param {Array<object>} [columns]
+ * @returns {Array<object>} Every column with `visible`, `label`, `width` and `align`.
+ */
+export function normalizeItemColumns(columns) {
+  const defaults = Object.fromEntries(DEFAULT_ITEM_COLUMNS.map(column => [column.id, column]));
+  const seen = new Set();
+  const normalized = [];
+  (Array.isArray(columns) ? columns : []).forEach(column => {
+    if (!column || !defaults[column.id] || seen.has(column.id)) return;
+    seen.add(column.id);
+    const width = parseInt(column.width, 10);
+    normalized.push({
+      ...defaults[column.id],
+      ...column,
+      width: isNaN(width) ? defaults[column.id].width : Math.max(0, width),
+    });
+  });
+  DEFAULT_ITEM_COLUMNS.forEach(column => {
+    if (!seen.has(column.id)) normalized.push(column);
+  });
+  return normalized;
+}
+
+/**
+ * The least room the shown columns other than the item name take on a line:
+ * preferred widths shrink, but never below a column's heading.
+ * @param {Array<object>} columns
+ * @returns {number} Characters, with the spaces between the columns.
+ */
+export function minimumColumnsWidth(columns) {
+  const fixed = columns.filter(column => column.visible && column.id !== 'name');
+  return fixed.reduce((sum, column) => sum + Math.max(1, String(column.label).length), 0) + Math.max(0, fixed.length - 1);
+}
+
+/**
+ * Pads a value to its column width.
+ * @param {string} text
+ * @param {number} width
+ * @param {'left'|'center'|'right'} align
+ * @returns {string}
+ */
+function pad(text, width, align) {
+  if (align === 'right') return text.padStart(width);
+  if (align === 'center') return text.padStart(Math.floor((width + text.length) / 2)).padEnd(width);
+  return text.padEnd(width);
+}
+
+/**
+ * Gives each column its preferred width, then narrows the columns with the
+ * most slack, one character at a time, until they fit.
+ * @param {Array<object>} columns
+ * @param {Array<object>} items
+ * @param {number} available Characters for these columns and the single spaces between them.
+ * @returns {number[]} The widths.
+ */
+function fitWidths(columns, items, available) {
+  const needed = columns.map(column => Math.max(
+    column.label.length,
+    ...items.map(item => ITEM_COLUMNS[column.id].value(item).length)
+  ));
+  const widths = columns.map((column, i) => Math.max(column.width, needed[i]));
+  const total = () => widths.reduce((sum, width) => sum + width, 0) + columns.length - 1;
+  while (total() > available) {
+    let widest = -1;
+    widths.forEach((width, i) => {
+      if (width > needed[i] && (widest === -1 || width - needed[i] > widths[widest] - needed[widest])) widest = i;
+    });
+    if (widest === -1) break; // Every value already at its narrowest; the printer will wrap
+    widths[widest] -= 1;
+  }
+  return widths;
+}
+
+/**
+ * Lays out the items table as text lines.
+ *
+ * Two-line rows print the serial number and item name on the first line and
+ * the other columns, right-aligned, on the second. Single-line rows print
+ * every column side by side with the item name wrapping inside its column;
+ * they fall back to two lines when the name column would be too narrow.
+ *
+ * @param {Array<object>} items Parsed voucher items.
+ * @param {Array<object>} columns Normalized columns (see normalizeItemColumns).
+ * @param {number} width Characters per line.
+ * @param {'two-line'|'single-line'} [rowLayout='two-line']
+ * @returns {{ header: Array<Array<object>>, rows: Array<Array<Array<object>>> }}
+ *   Header lines and, per item, its lines; each line is a list of
+ *   { text, bold } segments (the header and item names are bold).
+ */
+export function buildItemTable(items, columns, width, rowLayout = 'two-line') {
+  const shown = columns.filter(column => column.visible &&
+    (!ITEM_COLUMNS[column.id].optional || items.some(item => ITEM_COLUMNS[column.id].value(item))));
+  const nameColumn = shown.find(column => column.id === 'name');
+
+  if (rowLayout === 'single-line' || !nameColumn) {
+    const others = shown.filter(column => column !== nameColumn);
+    const otherWidths = fitWidths(others, items, width - (nameColumn ? MIN_NAME_WIDTH + 1 : 0));
+    const nameWidth = width - otherWidths.reduce((sum, w) => sum + w + 1, 0);
+    if (!nameColumn || nameWidth >= MIN_NAME_WIDTH) {
+      const widthOf = column => (column === nameColumn ? nameWidth : otherWidths[others.indexOf(column)]);
+      // One line per row of cells; cells that ran out print as blanks
+      const formatRow = (cellLines, bolds) => {
+        const count = Math.max(...cellLines.map(cell => cell.length));
+        return Array.from({ length: count }, (_, lineIndex) => {
+          const segments = shown.map((column, i) => ({
+            text: `${i > 0 ? ' ' : ''}${pad(cellLines[i][lineIndex] || '', widthOf(column), column.align)}`,
+            bold: bolds[i],
+          }));
+          // No padding after the last value on the line
+          for (let i = segments.length - 1; i >= 0; i--) {
+            segments[i].text = segments[i].text.trimEnd();
+            if (segments[i].text) break;
+          }
+          return segments;
+        });
+      };
+      return {
+        header: formatRow(shown.map(column => [column.label]), shown.map(() => true)),
+        rows: items.map(item => formatRow(
+          shown.map(column => (column === nameColumn
+            ? wrapWords(ITEM_COLUMNS.name.value(item), nameWidth)
+            : [ITEM_COLUMNS[column.id].value(item)])),
+          shown.map(column => column === nameColumn)
+        )),
+      };
+    }
+  }
+
+  // Two-line rows
+  const snoColumn = shown.find(column => column.id === 'sno');
+  const figures = shown.filter(column => column !== nameColumn && column !== snoColumn);
+  const snoWidth = snoColumn ? fitWidths([snoColumn], items, width)[0] : 0;
+  const figureWidths = fitWidths(figures, items, width);
+  const nameIndent = snoColumn ? snoWidth + 1 : 0;
+  const formatFigures = values => figures
+    .map((column, i) => pad(values[i], figureWidths[i], column.align))
+    .join(' ')
+    .padStart(width)
+    .trimEnd(); // A left-aligned last column leaves padding
+  // Serial number and name lines are bold, like the header
+  const formatName = (sno, name) => wrapWords(name, width - nameIndent).map((part, i) => [{
+    text: `${snoColumn ? `${pad(i === 0 ? sno : '', snoWidth, snoColumn.align)} ` : ''}${part}`,
+    bold: true,
+  }]);
+  const figureLines = (values, bold) => (figures.length > 0 ? [[{ text: formatFigures(values), bold }]] : []);
+
+  return {
+    header: [
+      ...formatName(snoColumn ? snoColumn.label : '', nameColumn.label),
+      ...figureLines(figures.map(column => column.label), true),
+    ],
+    rows: items.map(item => [
+      ...formatName(ITEM_COLUMNS.sno.value(item), ITEM_COLUMNS.name.value(item)),
+      ...figureLines(figures.map(column => ITEM_COLUMNS[column.id].value(item)), false),
+    ]),
+  };
+}
@@ -0,0 +1,32 @@
+// src/receiptTable.test.js
+
+import { describe, it, expect } from 'vitest';
+import { wrapWords, ITEM_COLUMNS, normalizeItemColumns, buildItemTable, minimumColumnsWidth } from './receiptTable';
+
+describe('wrapWords', () => {
+  it('wraps at word boundaries and splits long words', () => {
+    expect(wrapWords('Steel Bolt M8 Zinc', 10)).toEqual(['Steel Bolt', 'M8 Zinc']);
+    expect(wrapWords('ABCDEFGHIJKL', 5)).toEqual(['ABCDE', 'FGHIJ', 'KL']);
+  });
+
+  it('treats a width below one as one character per line', () => {
+    expect(wrapWords('ab c', 0)).toEqual(['a', 'b', 'c']);
+    expect(wrapWords('ab', -3)).toEqual(['a', 'b']);
+  });
+});
+
+describe('item columns', () => {
+  it('prints the rate with its unit', () => {
+    expect(ITEM_COLUMNS.rate.value({ rate: '120.00', rateUnit: 'Box' })).toBe('120.00/Box');
+    expect(ITEM_COLUMNS.rate.value({ rate: '120.00', rateUnit: '' })).toBe('120.00');
+  });
+
+  it('fits the default columns on a 32-character line', () => {
+    const columns = normalizeItemColumns();
+    expect(minimumColumnsWidth(columns)).toBeLessThanOrEqual(32);
+    const item = { sNo: 1, name: 'Steel Bolt M8', qty: '10', unit: 'Nos', rate: '120.00', rateUnit: 'Box', amount: '1200.00' };
+    const table = buildItemTable([item], columns, 32);
+    table.rows.flat().forEach(line => expect(line.map(segment => segment.text).join('').length).toBeLessThanOrEqual(32));
+    expect(table.rows[0].flat().map(segment => segment.text).join('')).toContain('120.00/Box');
+  });
+});
@@ -0,0 +1,95 @@
+// 📁 File: src/receiptTemplate.js
+
+import { DEFAULT_ITEM_COLUMNS, normalizeItemColumns } from './receiptTable';
+
+/**
+ * Receipt sections in their default order, with the defaults for each one.
+ * A template is a JSON array of these sections ({ id, visible, ...styles });
+ * both the ESC/POS generator and the preview print the sections in template
+ * order. Sections are shown unless they default to `visible: false`.
+ * Only the keys a section defines here can be edited for it:
+ * - label: printed caption (the heading's empty label means "use the voucher heading")
+ * - labels: captions of the order detail lines
+ * - align: 'left' | 'center' | 'right'
+ * - bold: prints the section's main line in bold
+ * - size: 'normal' | 'double' (double height and width)
+ * - columns: the items table columns (see receiptTable.js)
+ * - rowLayout: 'two-line' | 'single-line' item rows
+ */
+export const RECEIPT_SECTIONS = [
+  { id: 'logo', name: 'Logo', align: 'center' },
+  { id: 'header', name: 'Company Header', align: 'center', bold: true, size: 'double' },
+  { id: 'heading', name: 'Voucher Heading', label: '', align: 'center', bold: true, size: 'normal' },
+  { id: 'copyLabel', name: 'Copy Label (Original / Duplicate...)', align: 'right', bold: true },
+  { id: 'orderInfo', name: 'Order Details', labels: { number: 'Voucher No', date: 'Date', user: 'Entered By' } },
+  { id: 'party', name: 'Party Details', label: 'PARTY DETAILS', align: 'left', bold: true },
+  { id: 'items', name: 'Items / Particulars', bold: true, rowLayout: 'two-line', columns: DEFAULT_ITEM_COLUMNS },
+  { id: 'totals', name: 'Totals', label: 'TOTAL', align: 'right', bold: true, size: 'normal' },
+  { id: 'taxSummary', name: 'HSN/SAC Summary', bold: true },
+  { id: 'amountInWords', name: 'Amount in Words', label: 'Amount in Words', align: 'left', bold: true },
+  { id: 'narration', name: 'Remarks', label: 'Remarks', align: 'center', bold: true },
+  { id: 'terms', name: 'Terms & Conditions', label: 'Terms & Conditions', align: 'center', bold: false },
+  { id: 'signatory', name: 'Authorized Signatory', align: 'right', bold: false },
+  { id: 'upiQr', name: 'UPI Payment QR', visible: false, label: 'Scan to pay with any UPI app', align: 'center' },
+  { id: 'barcode', name: 'Voucher Number Barcode', visible: false, align: 'center' },
+  { id: 'thankYou', name: 'Thank You Message', label: 'Thank you for your business!', align: 'center', bold: false, size: 'normal' },
+];
+
+// Voucher headings (from parseTallyXML) that can have a layout of their own
+export const TEMPLATE_VOUCHER_TYPES = [
+  'SALES INVOICE', 'SALES ORDER', 'MATERIAL CHALLAN', 'STOCK JOURNAL', 'RECEIPT NOTE',
+  'RECEIPT VOUCHER', 'PAYMENT VOUCHER', 'CREDIT NOTE', 'DEBIT NOTE', 'CONTRA VOUCHER',
+  'JOURNAL VOUCHER', 'DOCUMENT',
+];
+
+/**
+ * Fills in a (possibly partial or outdated) template: unknown and duplicate
+ * sections are dropped, missing fields take their defaults, and sections the
+ * template does not mention are appended in default order.
+ * @param {Array<object>} [template] The saved template.
+ * @param {object} [overrides] Default fields to use instead, keyed by section id.
+ * @returns {Array<object>} Every section, each with `visible` and all its style fields.
+ */
+export function normalizeTemplate(template, overrides = {}) {
+  const defaults = {};
+  RECEIPT_SECTIONS.forEach(definition => {
+    const section = { visible: true, ...definition, ...(overrides[definition.id] || {}) };
+    delete section.name; // Editor caption, not part of the template
+    defaults[definition.id] = section;
+  });
+  const seen = new Set();
+  const sections = [];
+  (Array.isArray(template) ? template : []).forEach(section => {
+    if (!section || !defaults[section.id] || seen.has(section.id)) return;
+    seen.add(section.id);
+    const base = defaults[section.id];
+    // Keep only the fields this section supports
+    const merged = { ...base };
+    Object.keys(base).forEach(key => {
+      if (section[key] === undefined) return;
+      if (key === 'labels') merged.labels = { ...base.labels, ...section.labels };
+      else if (key === 'columns') merged.columns = normalizeItemColumns(section.columns);
+      else merged[key] = section[key];
+    });
+    sections.push(merged);
+  });
+  RECEIPT_SECTIONS.forEach(({ id }) => {
+    if (!seen.has(id)) sections.push(defaults[id]);
+  });
+  return sections;
+}
+
+/**
+ * Picks the template for a voucher: its voucher type's own layout when one is
+ * saved, otherwise the default layout.
+ * @param {object} settings User print settings (`receiptTemplates`).
+ * @param {object} [voucher] The parsed voucher; omitted for the default layout.
+ * @returns {Array<object>} The normalized sections in print order.
+ */
+export function getReceiptTemplate(settings, voucher) {
+  const templates = settings.receiptTemplates || {};
+  const template = (voucher && templates[voucher.heading]) || templates.default;
+  // Settings saved before templates kept the header alignment on its own
+  const overrides = settings.headerAlignment ? { header: { align: settings.headerAlignment } } : {};
+  return normalizeTemplate(template, overrides);
+}
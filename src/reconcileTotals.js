@@ -0,0 +1,39 @@
+// 📁 File: src/reconcileTotals.js
+
+/**
+ * Checks that a parsed voucher adds up before it is printed.
+ * For item vouchers, items + taxes + other ledgers must equal the party
+ * ledger amount that prints as TOTAL; for ledger vouchers, debits must
+ * equal credits.
+ * @param {object} voucher A voucher model from parseTallyXML.
+ * @param {number} [tolerance=0.01] Largest difference (in rupees) still treated as a match.
+ * @returns {{ expected: string, actual: string, difference: string, matched: boolean }}
+ */
+export default function reconcileTotals(voucher, tolerance = 0.01) {
+  const amount = (value) => parseFloat(value) || 0;
+  let expected;
+  let actual;
+
+  if (voucher.layout === 'ledger') {
+    const sumSide = (side) => (voucher.ledgers || [])
+      .filter(line => line.side === side)
+      .reduce((sum, line) => sum + amount(line.amount), 0);
+    expected = sumSide('Cr');
+    actual = sumSide('Dr');
+  } else {
+    const { subtotal, igst, cgst, sgst, cess, total } = voucher.totals;
+    const charges = (voucher.charges || [])
+      .reduce((sum, charge) => sum + (charge.sign === '-' ? -1 : 1) * amount(charge.amount), 0);
+    expected = amount(subtotal) + amount(igst) + amount(cgst) + amount(sgst) + amount(cess) + charges;
+    actual = amount(total);
+  }
+
+  const difference = actual - expected;
+  return {
+    expected: expected.toFixed(2),
+    actual: actual.toFixed(2),
+    difference: difference.toFixed(2),
+    // Compare in paise so float noise never trips a zero tolerance
+    matched: Math.round(Math.abs(difference) * 100) <= Math.round(Math.max(0, tolerance) * 100),
+  };
+}
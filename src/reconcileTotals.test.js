@@ -0,0 +1,63 @@
+// src/reconcileTotals.test.js
+
+import { describe, it, expect } from 'vitest';
+import reconcileTotals from './reconcileTotals';
+
+// An item voucher as parseTallyXML models it
+function itemVoucher(total, charges = [], taxes = {}) {
+  return {
+    layout: 'items',
+    totals: { subtotal: '1000.00', igst: '0.00', cgst: '90.00', sgst: '90.00', cess: '0.00', ...taxes, total },
+    charges,
+  };
+}
+
+describe('reconcileTotals', () => {
+  it('matches an item voucher that adds up', () => {
+    expect(reconcileTotals(itemVoucher('1180.00'))).toEqual({ expected: '1180.00', actual: '1180.00', difference: '0.00', matched: true });
+  });
+
+  it('matches a difference of exactly the tolerance, and not one paisa over it', () => {
+    expect(reconcileTotals(itemVoucher('1180.01')).matched).toBe(true);
+    expect(reconcileTotals(itemVoucher('1180.02')).matched).toBe(false);
+    expect(reconcileTotals(itemVoucher('1181.00'), 1).matched).toBe(true);
+    expect(reconcileTotals(itemVoucher('1181.01'), 1)).toMatchObject({ difference: '1.01', matched: false });
+    expect(reconcileTotals(itemVoucher('1179.00'), 1).matched).toBe(true);
+  });
+
+  it('does not let float noise trip a zero tolerance', () => {
+    const voucher = itemVoucher('0.30', [], { subtotal: '0.10', cgst: '0.20', sgst: '0.00' });
+    expect(reconcileTotals(voucher, 0).matched).toBe(true);
+    expect(reconcileTotals(itemVoucher('1180.01'), 0).matched).toBe(false);
+  });
+
+  it('counts rounding-off ledgers either way', () => {
+    expect(reconcileTotals(itemVoucher('1180.00', [{ name: 'Round Off', amount: '0.40', sign: '-' }], { subtotal: '1000.40' })).matched).toBe(true);
+    expect(reconcileTotals(itemVoucher('1181.00', [{ name: 'Round Off', amount: '0.60', sign: '+' }], { subtotal: '1000.40' })).matched).toBe(true);
+    expect(reconcileTotals(itemVoucher('1181.00', [], { subtotal: '1000.40' }))).toMatchObject({ difference: '0.60', matched: false });
+  });
+
+  it('takes negative charges (discounts) off the total', () => {
+    const voucher = itemVoucher('1130.00', [
+      { name: 'Freight', amount: '50.00', sign: '+' },
+      { name: 'Trade Discount', amount: '100.00', sign: '-' },
+    ]);
+    expect(reconcileTotals(voucher)).toMatchObject({ expected: '1130.00', matched: true });
+    expect(reconcileTotals({ ...voucher, totals: { ...voucher.totals, total: '1230.00' } })).toMatchObject({ difference: '100.00', matched: false });
+  });
+
+  it('compares debits with credits on ledger vouchers', () => {
+    const ledgers = [
+      { name: 'Cash', side: 'Dr', amount: '500.00' },
+      { name: 'Sales', side: 'Cr', amount: '450.00' },
+      { name: 'Round Off', side: 'Cr', amount: '50.00' },
+    ];
+    expect(reconcileTotals({ layout: 'ledger', ledgers })).toMatchObject({ expected: '500.00', actual: '500.00', matched: true });
+    expect(reconcileTotals({ layout: 'ledger', ledgers: ledgers.slice(0, 2) })).toMatchObject({ difference: '50.00', matched: false });
+  });
+
+  it('treats a negative tolerance as zero', () => {
+    expect(reconcileTotals(itemVoucher('1180.00'), -5).matched).toBe(true);
+    expect(reconcileTotals(itemVoucher('1180.01'), -5).matched).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+// 📁 File: src/serialTransport.js
+
+export const DEFAULT_BAUD_RATE = 9600;
+export const BAUD_RATES = [9600, 19200, 38400, 57600, 115200];
+
+// Small writes keep progress moving on slow links (9600 baud is about 1 KB/s)
+const SERIAL_CHUNK_SIZE = 512;
+
+/**
+ * Opens a serial port (a COM port, USB-serial adapter or Bluetooth SPP link)
+ * for printing.
+ * @param {SerialPort} port A port the user has granted access to.
+ * @param {object} [options]
+ * @param {number} [options.baudRate=DEFAULT_BAUD_RATE] Must match the printer's setting.
+ * @param {'none'|'hardware'} [options.flowControl='none'] RTS/CTS flow control, when the cable carries it.
+ * @param {(bytes: Uint8Array) => void} [options.onData] Called with whatever the printer sends back.
+ * @returns {Promise<{ port: SerialPort, writer: WritableStreamDefaultWriter, reader: ReadableStreamDefaultReader|null }>}
+ */
+export async function openSerialPrinter(port, { baudRate = DEFAULT_BAUD_RATE, flowControl = 'none', onData } = {}) {
+  await port.open({ baudRate, flowControl });
+  const connection = { port, writer: port.writable.getWriter(), reader: null };
+  if (onData && port.readable) {
+    connection.reader = port.readable.getReader();
+    (async () => {
+      try {
+        for (;;) {
+          const { value, done } = await connection.reader.read();
+          if (done) break;
+          onData(value);
+        }
+      } catch (err) {
+        console.warn("Serial printer stopped sending:", err);
+      }
+    })();
+  }
+  return connection;
+}
+
+/**
+ * Writes a print job to an open serial port in small chunks. Each chunk waits
+ * until the port can take more, so the job goes out at the printer's pace.
+ * @param {WritableStreamDefaultWriter} writer From openSerialPrinter.
+ * @param {Uint8Array} bytes The job.
+ * @param {object} [options]
+ * @param {(sent: number, total: number) => void} [options.onProgress] Called after every chunk.
+ * @returns {Promise<void>}
+ */
+export async function sendToSerialPrinter(writer, bytes, { onProgress } = {}) {
+  for (let sent = 0; sent < bytes.length; sent += SERIAL_CHUNK_SIZE) {
+    const chunk = bytes.subarray(sent, Math.min(sent + SERIAL_CHUNK_SIZE, bytes.length));
+    await writer.ready;
+    await writer.write(chunk);
+    if (onProgress) onProgress(sent + chunk.length, bytes.length);
+  }
+}
+
+/**
+ * Waits for the last bytes to leave, then closes the port.
+ * @param {{ port: SerialPort, writer: WritableStreamDefaultWriter, reader: ReadableStreamDefaultReader|null }} connection
+ *   From openSerialPrinter.
+ * @returns {Promise<void>}
+ */
+export async function closeSerialPrinter({ port, writer, reader }) {
+  if (reader) {
+    await reader.cancel();
+    reader.releaseLock();
+  }
+  await writer.close();
+  await port.close();
+}
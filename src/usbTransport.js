@@ -0,0 +1,130 @@
+// 📁 File: src/usbTransport.js
+
+// Small enough for the input buffer of common thermal printers (4 KB or more)
+export const DEFAULT_CHUNK_SIZE = 4096;
+const MAX_STALL_RETRIES = 3;
+
+/**
+ * Sends a print job over WebUSB in printer-sized chunks. Each chunk waits for
+ * the previous one to be accepted, so a busy printer slows the job down
+ * (USB flow control) instead of overflowing. A short write resumes where the
+ * printer stopped; a stalled endpoint is cleared and the chunk retried.
+ * @param {USBDevice} device An opened device with its interface claimed.
+ * @param {USBEndpoint} endpoint The bulk OUT endpoint.
+ * @param {Uint8Array} bytes The job.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE] Bytes per transfer, rounded down to whole USB packets.
+ * @param {(sent: number, total: number) => void} [options.onProgress] Called after every chunk.
+ * @returns {Promise<void>}
+ */
+export async function sendToPrinter(device, endpoint, bytes, { chunkSize = DEFAULT_CHUNK_SIZE, onProgress } = {}) {
+  const packetSize = endpoint.packetSize || 64;
+  const size = Math.max(packetSize, Math.floor(chunkSize / packetSize) * packetSize);
+  let sent = 0;
+  let stalls = 0;
+
+  while (sent < bytes.length) {
+    const chunk = bytes.subarray(sent, Math.min(sent + size, bytes.length));
+    const result = await device.transferOut(endpoint.endpointNumber, chunk);
+    if (result.status === 'stall' || result.bytesWritten === 0) {
+      if (++stalls > MAX_STALL_RETRIES) throw new Error("Printer stopped accepting data (USB endpoint stalled).");
+      if (result.status === 'stall') await device.clearHalt('out', endpoint.endpointNumber);
+      continue;
+    }
+    stalls = 0;
+    sent += result.bytesWritten;
+    if (onProgress) onProgress(sent, bytes.length);
+  }
+}
+
+const USB_PRINTER_CLASS = 7;
+
+/**
+ * Finds the interface a USB printer takes print data on: an interface of the
+ * USB printer class when the device has one, otherwise the first interface
+ * with a bulk OUT endpoint (many receipt printers report a vendor class).
+ * @param {USBDevice} device
+ * @returns {{ configurationValue: number, interfaceNumber: number, alternateSetting: number,
+ *   endpoint: USBEndpoint, inEndpoint: USBEndpoint|undefined }|null} null when no interface has a bulk OUT endpoint.
+ */
+export function findPrinterInterface(device) {
+  const candidates = [];
+  device.configurations.forEach(configuration => {
+    configuration.interfaces.forEach(usbInterface => {
+      usbInterface.alternates.forEach(alternate => {
+        const endpoint = alternate.endpoints.find(e => e.direction === 'out' && e.type === 'bulk');
+        if (!endpoint) return;
+        candidates.push({
+          isPrinterClass: alternate.interfaceClass === USB_PRINTER_CLASS,
+          printerInterface: {
+            configurationValue: configuration.configurationValue,
+            interfaceNumber: usbInterface.interfaceNumber,
+            alternateSetting: alternate.alternateSetting,
+            endpoint,
+            inEndpoint: alternate.endpoints.find(e => e.direction === 'in' && e.type === 'bulk'),
+          },
+        });
+      });
+    });
+  });
+  const found = candidates.find(candidate => candidate.isPrinterClass) || candidates[0];
+  return found ? found.printerInterface : null;
+}
+
+/**
+ * Opens a USB printer and claims its print interface, found by
+ * findPrinterInterface.
+ * @param {USBDevice} device A device the user has granted access to.
+ * @returns {Promise<{ device: USBDevice, interfaceNumber: number, endpoint: USBEndpoint, inEndpoint: USBEndpoint|undefined }>}
+ */
+export async function openPrinter(device) {
+  const printerInterface = findPrinterInterface(device);
+  if (!printerInterface) throw new Error("No OUT endpoint found on the device.");
+  const { configurationValue, interfaceNumber, alternateSetting, endpoint, inEndpoint } = printerInterface;
+
+  if (!device.opened) await device.open();
+  if (!device.configuration || device.configuration.configurationValue !== configurationValue) {
+    await device.selectConfiguration(configurationValue);
+  }
+  await device.claimInterface(interfaceNumber);
+  if (alternateSetting !== 0) await device.selectAlternateInterface(interfaceNumber, alternateSetting);
+  return { device, interfaceNumber, endpoint, inEndpoint };
+}
+
+/**
+ * Releases the interface claimed by openPrinter and closes the device.
+ * @param {{ device: USBDevice, interfaceNumber: number }} connection
+ * @returns {Promise<void>}
+ */
+export async function closePrinter({ device, interfaceNumber }) {
+  if (!device.opened) return;
+  await device.releaseInterface(interfaceNumber);
+  await device.close();
+}
+
+/**
+ * Reads whatever the printer sends back (status bytes) from the bulk IN
+ * endpoint, for as long as the device stays open.
+ * @param {{ device: USBDevice, inEndpoint: USBEndpoint|undefined }} connection From openPrinter.
+ * @param {(bytes: Uint8Array) => void} onData Called with every packet.
+ * @returns {boolean} false when the printer has no IN endpoint, so it cannot reply.
+ */
+export function readFromPrinter({ device, inEndpoint }, onData) {
+  if (!inEndpoint) return false;
+  (async () => {
+    while (device.opened) {
+      try {
+        const result = await device.transferIn(inEndpoint.endpointNumber, inEndpoint.packetSize || 64);
+        if (result.status === 'stall') await device.clearHalt('in', inEndpoint.endpointNumber);
+        if (result.data && result.data.byteLength > 0) {
+          onData(new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength));
+        } else {
+          await new Promise(resolve => setTimeout(resolve, 50)); // Some printers answer at once with empty packets
+        }
+      } catch {
+        break; // Closed or unplugged
+      }
+    }
+  })();
+  return true;
+}
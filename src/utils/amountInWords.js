@@ -0,0 +1,104 @@
+// src/utils/amountInWords.js
+
+const ENGLISH_ONES = [
+  'Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const ENGLISH_TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Hindi numbers up to 99 are irregular, so every one of them is spelled out.
+const HINDI_0_99 = [
+  'शून्य', 'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ',
+  'दस', 'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस',
+  'बीस', 'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस',
+  'तीस', 'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस',
+  'चालीस', 'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास',
+  'पचास', 'इक्यावन', 'बावन', 'तिरपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ',
+  'साठ', 'इकसठ', 'बासठ', 'तिरसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर',
+  'सत्तर', 'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी',
+  'अस्सी', 'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी',
+  'नब्बे', 'इक्यानबे', 'बानबे', 'तिरानबे', 'चौरानबे', 'पचानबे', 'छियानबे', 'सत्तानबे', 'अट्ठानबे', 'निन्यानबे',
+];
+
+// Romanised Hindi, for printers that can only print ASCII
+const HINDI_LATIN_0_99 = [
+  'Shunya', 'Ek', 'Do', 'Teen', 'Chaar', 'Paanch', 'Chhah', 'Saat', 'Aath', 'Nau',
+  'Das', 'Gyaarah', 'Baarah', 'Terah', 'Chaudah', 'Pandrah', 'Solah', 'Satrah', 'Athaarah', 'Unnees',
+  'Bees', 'Ikkees', 'Baaees', 'Teyees', 'Chaubees', 'Pachchees', 'Chhabbees', 'Sattaaees', 'Atthaaees', 'Untees',
+  'Tees', 'Ikattees', 'Battees', 'Taintees', 'Chauntees', 'Paintees', 'Chhattees', 'Saintees', 'Adtees', 'Untaalees',
+  'Chaalees', 'Iktaalees', 'Bayaalees', 'Taintaalees', 'Chavaalees', 'Paintaalees', 'Chhiyaalees', 'Saintaalees', 'Adtaalees', 'Unchaas',
+  'Pachaas', 'Ikyaavan', 'Baavan', 'Tirpan', 'Chauvan', 'Pachpan', 'Chhappan', 'Sattaavan', 'Atthaavan', 'Unsath',
+  'Saath', 'Iksath', 'Baasath', 'Tirsath', 'Chaunsath', 'Painsath', 'Chhiyaasath', 'Sadsath', 'Adsath', 'Unhattar',
+  'Sattar', 'Ikhattar', 'Bahattar', 'Tihattar', 'Chauhattar', 'Pachhattar', 'Chhihattar', 'Satattar', 'Athattar', 'Unyaasi',
+  'Assi', 'Ikyaasi', 'Bayaasi', 'Tiraasi', 'Chauraasi', 'Pachaasi', 'Chhiyaasi', 'Sattaasi', 'Athaasi', 'Navaasi',
+  'Nabbe', 'Ikyaanave', 'Baanave', 'Tiraanave', 'Chauraanave', 'Pachaanave', 'Chhiyaanave', 'Sattaanave', 'Atthaanave', 'Ninyaanave',
+];
+
+const LANGUAGES = {
+  en: {
+    below100: n => (n < 20 ? ENGLISH_ONES[n] : `${ENGLISH_TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ENGLISH_ONES[n % 10]}` : ''}`),
+    hundred: 'Hundred', thousand: 'Thousand', lakh: 'Lakh', crore: 'Crore',
+    minus: 'Minus', rupee: 'Rupee', rupees: 'Rupees', paisa: 'Paisa', paise: 'Paise', and: 'and', only: 'Only',
+  },
+  hi: {
+    below100: n => HINDI_0_99[n],
+    hundred: 'सौ', thousand: 'हज़ार', lakh: 'लाख', crore: 'करोड़',
+    minus: 'ऋण', rupee: 'रुपया', rupees: 'रुपये', paisa: 'पैसा', paise: 'पैसे', and: 'और', only: 'मात्र',
+  },
+  'hi-Latn': {
+    below100: n => HINDI_LATIN_0_99[n],
+    hundred: 'Sau', thousand: 'Hazaar', lakh: 'Lakh', crore: 'Crore',
+    minus: 'Rin', rupee: 'Rupaya', rupees: 'Rupaye', paisa: 'Paisa', paise: 'Paise', and: 'aur', only: 'Maatra',
+  },
+};
+
+/**
+ * Spells a whole number using the Indian system (thousand, lakh, crore).
+ * Amounts of 100 crore and above repeat the scale ("One Lakh Crore").
+ * @param {number} n A non-negative integer.
+ * @param {object} l The language table.
+ * @returns {string} The number in words.
+ */
+function integerToWords(n, l) {
+  if (n === 0) return l.below100(0);
+  const parts = [];
+  const crores = Math.floor(n / 10000000);
+  const lakhs = Math.floor((n % 10000000) / 100000);
+  const thousands = Math.floor((n % 100000) / 1000);
+  const hundreds = Math.floor((n % 1000) / 100);
+  const rest = n % 100;
+
+  if (crores) parts.push(`${integerToWords(crores, l)} ${l.crore}`);
+  if (lakhs) parts.push(`${l.below100(lakhs)} ${l.lakh}`);
+  if (thousands) parts.push(`${l.below100(thousands)} ${l.thousand}`);
+  if (hundreds) parts.push(`${l.below100(hundreds)} ${l.hundred}`);
+  if (rest) parts.push(l.below100(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Converts a rupee amount to words for the "Amount in Words" line.
+ * @param {number|string} amount The amount in rupees (paise as decimals).
+ * @param {'en'|'hi'|'hi-Latn'} [language='en'] English, Hindi, or romanised Hindi.
+ * @returns {string} e.g. "One Lakh Twenty Thousand Rupees and Fifty Paise Only",
+ *   or an empty string when the amount is not a number.
+ */
+export default function amountInWords(amount, language = 'en') {
+  const value = parseFloat(amount);
+  if (isNaN(value)) return '';
+  const l = LANGUAGES[language] || LANGUAGES.en;
+
+  // Work in whole paise so 0.1 + 0.2 style float noise never reaches the words
+  const totalPaise = Math.round(Math.abs(value) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  const rupeeWords = `${integerToWords(rupees, l)} ${rupees === 1 ? l.rupee : l.rupees}`;
+  const paiseWords = `${l.below100(paise)} ${paise === 1 ? l.paisa : l.paise}`;
+  // Amounts under a rupee read "Fifty Paise Only", not "Zero Rupees and Fifty Paise Only"
+  let words;
+  if (!paise) words = `${rupeeWords} ${l.only}`;
+  else if (!rupees) words = `${paiseWords} ${l.only}`;
+  else words = `${rupeeWords} ${l.and} ${paiseWords} ${l.only}`;
+  return totalPaise > 0 && value < 0 ? `${l.minus} ${words}` : words;
+}
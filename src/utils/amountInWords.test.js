@@ -0,0 +1,55 @@
+// src/utils/amountInWords.test.js
+
+import { describe, it, expect } from 'vitest';
+import amountInWords from './amountInWords';
+
+describe('amountInWords', () => {
+  it('spells zero', () => {
+    expect(amountInWords(0)).toBe('Zero Rupees Only');
+    expect(amountInWords('0.00')).toBe('Zero Rupees Only');
+  });
+
+  it('uses the singular for one rupee and one paisa', () => {
+    expect(amountInWords(1)).toBe('One Rupee Only');
+    expect(amountInWords(2.01)).toBe('Two Rupees and One Paisa Only');
+  });
+
+  it('spells paise, rounding to whole paise', () => {
+    expect(amountInWords(10.5)).toBe('Ten Rupees and Fifty Paise Only');
+    expect(amountInWords(0.1 + 0.2)).toBe('Thirty Paise Only');
+    expect(amountInWords(99.999)).toBe('One Hundred Rupees Only');
+  });
+
+  it('leaves out the rupees for amounts under a rupee', () => {
+    expect(amountInWords(0.01)).toBe('One Paisa Only');
+    expect(amountInWords('0.75')).toBe('Seventy Five Paise Only');
+  });
+
+  it('spells teens after hundreds', () => {
+    expect(amountInWords(113)).toBe('One Hundred Thirteen Rupees Only');
+    expect(amountInWords(1719)).toBe('One Thousand Seven Hundred Nineteen Rupees Only');
+  });
+
+  it('groups by thousand, lakh and crore', () => {
+    expect(amountInWords(120000.5)).toBe('One Lakh Twenty Thousand Rupees and Fifty Paise Only');
+    expect(amountInWords(12345678)).toBe('One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight Rupees Only');
+    expect(amountInWords(1000000000000)).toBe('One Lakh Crore Rupees Only');
+  });
+
+  it('prefixes negative amounts', () => {
+    expect(amountInWords(-250)).toBe('Minus Two Hundred Fifty Rupees Only');
+    expect(amountInWords(-0.5)).toBe('Minus Fifty Paise Only');
+    expect(amountInWords(-0.001)).toBe('Zero Rupees Only');
+  });
+
+  it('spells Hindi and romanised Hindi', () => {
+    expect(amountInWords(0.01, 'hi')).toBe('एक पैसा मात्र');
+    expect(amountInWords(150.25, 'hi')).toBe('एक सौ पचास रुपये और पच्चीस पैसे मात्र');
+    expect(amountInWords(200000, 'hi-Latn')).toBe('Do Lakh Rupaye Maatra');
+  });
+
+  it('returns an empty string for non-numbers', () => {
+    expect(amountInWords('')).toBe('');
+    expect(amountInWords('abc')).toBe('');
+  });
+});
@@ -0,0 +1,76 @@
+// src/utils/barcodes.js
+
+import qrcode from 'qrcode-generator';
+
+// Code 128 symbols 0-105 as bar/space widths in modules, then the stop symbol
+const CODE128_PATTERNS = (
+  '212222 222122 222221 121223 121322 131222 122213 122312 132212 221213 221312 231212 112232 122132 122231 113222 ' +
+  '123122 123221 223211 221132 221231 213212 223112 312131 311222 321122 321221 312212 322112 322211 212123 212321 ' +
+  '232121 111323 131123 131321 112313 132113 132311 211313 231113 231311 112133 112331 132131 113123 113321 133121 ' +
+  '313121 211331 231131 213113 213311 213131 311123 311321 331121 312113 312311 332111 314111 221411 431111 111224 ' +
+  '111422 121124 121421 141122 141221 112214 112412 122114 122411 142112 142211 241211 221114 413111 241112 134111 ' +
+  '111242 121142 121241 114212 124112 124211 411212 421112 421211 212141 214121 412121 111143 111341 131141 114113 ' +
+  '114311 411113 411311 113141 114131 311141 411131 211412 211214 211232 2331112'
+).split(' ');
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text ASCII text (URL-encode anything else first).
+ * @param {'L'|'M'|'Q'|'H'} [errorCorrection='M']
+ * @returns {boolean[][]} Rows of modules, true where the module is dark.
+ */
+export function qrModules(text, errorCorrection = 'M') {
+  const qr = qrcode(0, errorCorrection);
+  qr.addData(text, 'Byte');
+  qr.make();
+  const size = qr.getModuleCount();
+  return Array.from({ length: size }, (_, row) =>
+    Array.from({ length: size }, (_, col) => qr.isDark(row, col))
+  );
+}
+
+/**
+ * Drops the characters Code 128 code set B cannot carry.
+ * @param {string} text
+ * @returns {string} Printable ASCII only.
+ */
+export function code128Text(text) {
+  return String(text || '').replace(/[^\x20-\x7E]/g, '');
+}
+
+/**
+ * Builds the data of an ESC/POS CODE128 barcode (GS k 73): the code set B
+ * selector, then the text with every "{" doubled, since a single "{" starts
+ * a code set or function character.
+ * @param {string} text Printable ASCII (see code128Text).
+ * @returns {string} e.g. "{BSO/{{12}" for "SO/{12}"
+ */
+export function escPosCode128Data(text) {
+  return `{B${code128Text(text).replace(/\{/g, '{{')}`;
+}
+
+/**
+ * Reads the text back from ESC/POS CODE128 barcode data. "{{" is a literal
+ * "{"; code set selectors and function characters ("{" and another
+ * character) are dropped, as they print nothing.
+ * @param {string} data
+ * @returns {string}
+ */
+export function escPosCode128Text(data) {
+  return data.replace(/\{(.)/g, (match, next) => (next === '{' ? '{' : ''));
+}
+
+/**
+ * Encodes text as a Code 128 barcode in code set B, with its check symbol.
+ * @param {string} text Printable ASCII (see code128Text).
+ * @returns {number[]} Bar and space widths in modules, alternating and
+ *   starting with a bar, without quiet zones.
+ */
+export function code128Widths(text) {
+  const values = [...code128Text(text)].map(char => char.charCodeAt(0) - 32);
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+  return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+    .flatMap(symbol => [...CODE128_PATTERNS[symbol]].map(Number));
+}
@@ -0,0 +1,20 @@
+// src/utils/bitmap.js
+
+/**
+ * Packs a monochrome image into rows of bytes, eight dots per byte with the
+ * leftmost dot in the most significant bit — the layout raster commands use.
+ * @param {number} width Width in dots.
+ * @param {number} height Height in dots.
+ * @param {(x: number, y: number) => boolean} isDark True where a dot should print.
+ * @returns {{ bytesPerRow: number, data: Uint8Array }}
+ */
+export function packRows(width, height, isDark) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = new Uint8Array(bytesPerRow * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isDark(x, y)) data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return { bytesPerRow, data };
+}
@@ -0,0 +1,45 @@
+// src/utils/byteBuilder.js
+
+/**
+ * Creates a growable byte buffer for building printer jobs. Bytes go into a
+ * Uint8Array that doubles in size when full, so appending a large raster is
+ * a single copy rather than one function argument per byte.
+ * @param {number} [initialCapacity=4096] Starting size in bytes.
+ * @returns {{
+ *   push: (...bytes: number[]) => void,
+ *   append: (bytes: Uint8Array|number[]) => void,
+ *   length: () => number,
+ *   toUint8Array: () => Uint8Array
+ * }}
+ */
+export default function createByteBuilder(initialCapacity = 4096) {
+  let buffer = new Uint8Array(initialCapacity);
+  let length = 0;
+
+  const ensureCapacity = (extra) => {
+    if (length + extra <= buffer.length) return;
+    let capacity = buffer.length * 2;
+    while (capacity < length + extra) capacity *= 2;
+    const grown = new Uint8Array(capacity);
+    grown.set(buffer.subarray(0, length));
+    buffer = grown;
+  };
+
+  return {
+    // Adds a few bytes, e.g. one command and its parameters
+    push(...bytes) {
+      ensureCapacity(bytes.length);
+      buffer.set(bytes, length);
+      length += bytes.length;
+    },
+    // Adds a block of bytes, e.g. encoded text or an image
+    append(bytes) {
+      ensureCapacity(bytes.length);
+      buffer.set(bytes, length);
+      length += bytes.length;
+    },
+    length: () => length,
+    // A copy trimmed to the bytes written
+    toUint8Array: () => buffer.slice(0, length),
+  };
+}
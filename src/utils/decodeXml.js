@@ -0,0 +1,117 @@
+// src/utils/decodeXml.js
+
+// ISCII-91 (Devanagari) upper half, 0xA1 onwards. Tally installs configured
+// for Hindi/Marathi sometimes export in this legacy encoding.
+const ISCII_DEVANAGARI = {
+  0xA1: 'ँ', 0xA2: 'ं', 0xA3: 'ः', 0xA4: 'अ', 0xA5: 'आ',
+  0xA6: 'इ', 0xA7: 'ई', 0xA8: 'उ', 0xA9: 'ऊ', 0xAA: 'ऋ',
+  0xAB: 'ऎ', 0xAC: 'ए', 0xAD: 'ऐ', 0xAE: 'ऍ', 0xAF: 'ऒ',
+  0xB0: 'ओ', 0xB1: 'औ', 0xB2: 'ऑ',
+  0xD9: '', // INV: invisible consonant, has no Unicode equivalent
+  0xDA: 'ा', 0xDB: 'ि', 0xDC: 'ी', 0xDD: 'ु', 0xDE: 'ू',
+  0xDF: 'ृ', 0xE0: 'ॆ', 0xE1: 'े', 0xE2: 'ै', 0xE3: 'ॅ',
+  0xE4: 'ॊ', 0xE5: 'ो', 0xE6: 'ौ', 0xE7: 'ॉ', 0xE8: '्',
+  0xE9: '़', 0xEA: '।',
+};
+// Consonants क (0xB3) to ह (0xD8) follow Unicode order (U+0915-U+0939),
+// except that य़ (U+095F) sits right after य
+Array.from({ length: 0x0939 - 0x0915 + 1 }, (_, i) => 0x0915 + i)
+  .flatMap(codePoint => (codePoint === 0x092F ? [codePoint, 0x095F] : [codePoint]))
+  .forEach((codePoint, index) => { ISCII_DEVANAGARI[0xB3 + index] = String.fromCharCode(codePoint); });
+// Digits ० to ९
+for (let digit = 0; digit < 10; digit++) ISCII_DEVANAGARI[0xF1 + digit] = String.fromCharCode(0x0966 + digit);
+
+/**
+ * Decodes ISCII (Devanagari) bytes; the lower half is plain ASCII.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeIscii(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    text += byte < 0x80 ? String.fromCharCode(byte) : (ISCII_DEVANAGARI[byte] ?? '');
+  }
+  return text;
+}
+
+/**
+ * Works out the encoding of an XML file from its byte order mark, the
+ * position of NUL bytes around the first "<", or the XML declaration.
+ * @param {Uint8Array} bytes The start of the file.
+ * @returns {{ encoding: string, bomLength: number }} A TextDecoder label (or
+ *   'iscii') and how many BOM bytes to skip. Encoding is '' when nothing says.
+ */
+function sniffEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', bomLength: 3 };
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', bomLength: 2 };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', bomLength: 2 };
+  // UTF-16 without a BOM: "<" is 3C 00 (LE) or 00 3C (BE)
+  if (bytes[0] === 0x3C && bytes[1] === 0x00) return { encoding: 'utf-16le', bomLength: 0 };
+  if (bytes[0] === 0x00 && bytes[1] === 0x3C) return { encoding: 'utf-16be', bomLength: 0 };
+
+  // Otherwise the declaration is ASCII-compatible: <?xml version="1.0" encoding="...">
+  const head = String.fromCharCode(...bytes.subarray(0, 200));
+  const declared = head.match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([^"']+)["']/i)?.[1]?.trim().toLowerCase() || '';
+  if (declared.includes('iscii')) return { encoding: 'iscii', bomLength: 0 };
+  // A UTF-16 declaration without UTF-16 bytes is a mislabelled 8-bit file
+  if (declared.startsWith('utf-16') || declared.startsWith('unicode')) return { encoding: '', bomLength: 0 };
+  return { encoding: declared, bomLength: 0 };
+}
+
+/**
+ * Decodes the bytes of an XML file to text.
+ * @param {Uint8Array} bytes The file contents.
+ * @returns {string}
+ */
+function decodeText(bytes) {
+  const { encoding, bomLength } = sniffEncoding(bytes);
+  const body = bytes.subarray(bomLength);
+
+  if (encoding === 'iscii') return decodeIscii(body);
+  if (encoding) {
+    try {
+      return new TextDecoder(encoding).decode(body);
+    } catch (err) {
+      console.warn(`Unsupported XML encoding "${encoding}", falling back to auto-detection.`, err);
+    }
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(body);
+  } catch {
+    return new TextDecoder('windows-1252').decode(body);
+  }
+}
+
+// C0 controls other than tab (9), LF (10) and CR (13); built from char codes,
+// since raw control characters in a regex literal trip no-control-regex
+const CONTROL_CHARACTERS = new RegExp(
+  `[${String.fromCharCode(0)}-${String.fromCharCode(8)}${String.fromCharCode(11)}${String.fromCharCode(12)}${String.fromCharCode(14)}-${String.fromCharCode(31)}]`,
+  'g'
+);
+
+/**
+ * Strips the control characters Tally emits that are illegal in XML 1.0
+ * (&#4; is the best known), both as character references and raw, keeping
+ * only tab, LF and CR.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripControlCharacters(text) {
+  return text
+    .replace(/&#(?:0*(?:[0-8]|1[1-24-9]|2\d|3[01])|x0*(?:[0-8b-cB-Ce-fE-F]|1[0-9a-fA-F]));/g, '')
+    .replace(CONTROL_CHARACTERS, '');
+}
+
+/**
+ * Decodes the raw bytes of a Tally XML export into a string ready to parse.
+ * Handles UTF-8, UTF-16 LE/BE (with or without BOM), any encoding named in the
+ * XML declaration that the browser's TextDecoder knows (e.g. Windows-1252),
+ * and Devanagari ISCII. Files that declare nothing and are not valid UTF-8
+ * are read as Windows-1252. Tally's stray control characters are removed.
+ * @param {ArrayBuffer|Uint8Array} buffer The file contents.
+ * @returns {string} The decoded XML text, without a BOM.
+ */
+export function decodeXmlBytes(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return stripControlCharacters(decodeText(bytes).replace(/^\uFEFF/, ''));
+}
@@ -0,0 +1,58 @@
+// src/utils/decodeXml.test.js
+
+import { describe, it, expect } from 'vitest';
+import { decodeXmlBytes } from './decodeXml';
+
+const XML = '<ENVELOPE>Café ₹</ENVELOPE>';
+
+function utf16(text, littleEndian) {
+  const bytes = new Uint8Array(text.length * 2);
+  const view = new DataView(bytes.buffer);
+  [...text].forEach((char, index) => view.setUint16(index * 2, char.charCodeAt(0), littleEndian));
+  return bytes;
+}
+
+describe('decodeXmlBytes', () => {
+  it('reads UTF-8 with and without a BOM', () => {
+    const utf8 = new TextEncoder().encode(XML);
+    expect(decodeXmlBytes(utf8)).toBe(XML);
+    expect(decodeXmlBytes(new Uint8Array([0xEF, 0xBB, 0xBF, ...utf8]))).toBe(XML);
+    expect(decodeXmlBytes(utf8.buffer)).toBe(XML);
+  });
+
+  it('reads UTF-16 with a BOM', () => {
+    expect(decodeXmlBytes(new Uint8Array([0xFF, 0xFE, ...utf16(XML, true)]))).toBe(XML);
+    expect(decodeXmlBytes(new Uint8Array([0xFE, 0xFF, ...utf16(XML, false)]))).toBe(XML);
+  });
+
+  it('reads UTF-16 without a BOM from where the NUL bytes fall', () => {
+    expect(decodeXmlBytes(utf16(XML, true))).toBe(XML);
+    expect(decodeXmlBytes(utf16(XML, false))).toBe(XML);
+  });
+
+  it('uses the encoding named in the XML declaration', () => {
+    const declaration = '<?xml version="1.0" encoding="windows-1252"?>';
+    const bytes = new Uint8Array([...new TextEncoder().encode(`${declaration}<A>Caf`), 0xE9, ...new TextEncoder().encode('</A>')]);
+    expect(decodeXmlBytes(bytes)).toBe(`${declaration}<A>Café</A>`);
+  });
+
+  it('reads undeclared bytes that are not UTF-8 as Windows-1252', () => {
+    expect(decodeXmlBytes(new Uint8Array([0x3C, 0x41, 0x3E, 0x43, 0x61, 0x66, 0xE9]))).toBe('<A>Café');
+  });
+
+  it('treats a UTF-16 declaration on 8-bit bytes as undeclared', () => {
+    const text = '<?xml version="1.0" encoding="UTF-16"?><A>x</A>';
+    expect(decodeXmlBytes(new TextEncoder().encode(text))).toBe(text);
+  });
+
+  it('reads Devanagari ISCII', () => {
+    const declaration = '<?xml version="1.0" encoding="ISCII"?>';
+    const bytes = new Uint8Array([...new TextEncoder().encode(`${declaration}<A>`), 0xB3, 0xDA, 0xF2, ...new TextEncoder().encode('</A>')]);
+    expect(decodeXmlBytes(bytes)).toBe(`${declaration}<A>का१</A>`);
+  });
+
+  it('strips control characters, raw and as references, but keeps tab, LF and CR', () => {
+    const text = `<A>a${String.fromCharCode(4)}b&#4;c&#x1F;d&#10;\t\r\n${String.fromCharCode(0)}</A>`;
+    expect(decodeXmlBytes(new TextEncoder().encode(text))).toBe('<A>abcd&#10;\t\r\n</A>');
+  });
+});